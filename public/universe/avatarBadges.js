@@ -0,0 +1,129 @@
+// avatarBadges.js - Profile pictures floating over the focused system's sun, planets and moons
+import * as THREE from 'three';
+import { avatarUrls, identicon } from './avatars.js';
+
+// Distance LOD: badges are hidden beyond FAR, use the 48px avatar up to NEAR and the 128px one closer in
+const FAR = 1200;
+const NEAR = 400;
+const LOW_RES = 48;
+const HIGH_RES = 128;
+// Badge diameter in px when close; it shrinks to half that at FAR
+const BADGE_PX = { sun: 44, planet: 32, moon: 22 };
+
+// The first of urls that loads, or null
+function loadFirst(urls) {
+  return new Promise(resolve => {
+    const img = new Image();
+    let i = 0;
+    img.onload = () => resolve(img);
+    img.onerror = () => {
+      if (++i < urls.length) img.src = urls[i];
+      else resolve(null);
+    };
+    img.src = urls[0];
+  });
+}
+
+// Avatar clipped to a circle inside a thin white ring
+function badgeTexture(img, size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const r = size / 2;
+  const ring = Math.max(2, size / 24);
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(r, r, r - ring, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.drawImage(img, 0, 0, size, size);
+  ctx.restore();
+  ctx.lineWidth = ring;
+  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+  ctx.beginPath();
+  ctx.arc(r, r, r - ring / 2, 0, Math.PI * 2);
+  ctx.stroke();
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.encoding = THREE.sRGBEncoding;
+  return texture;
+}
+
+// Badges only exist for the detailed system, so their number stays at one system's worth of users
+// however big the galaxy is; textures load the first time a badge comes close enough to be shown
+export class AvatarBadges {
+  constructor(camera) {
+    this.camera = camera;
+    this.enabled = false;
+    this.badges = [];
+    this.textures = new Map(); // `${handle}:${size}` -> Promise of a texture (null if nothing loaded)
+    this.position = new THREE.Vector3();
+  }
+
+  // kind: 'sun' | 'planet' | 'moon'
+  attach(mesh, kind) {
+    const material = new THREE.SpriteMaterial({ sizeAttenuation: false, transparent: true, depthWrite: false });
+    const sprite = new THREE.Sprite(material);
+    // Anchored below its centre so it floats above the body in screen space, whatever the orbit's tilt
+    sprite.center.set(0.5, -0.35);
+    sprite.visible = false;
+    sprite.raycast = () => null;
+    mesh.add(sprite);
+    this.badges.push({ mesh, sprite, kind, resolution: 0 });
+  }
+
+  texture(handle, size) {
+    const key = `${handle.toLowerCase()}:${size}`;
+    if (!this.textures.has(key)) {
+      const urls = [...avatarUrls(handle, size), identicon(handle)];
+      this.textures.set(key, loadFirst(urls).then(img => (img ? badgeTexture(img, size) : null)));
+    }
+    return this.textures.get(key);
+  }
+
+  // Per frame: pick each badge's level of detail from its distance to the camera
+  update() {
+    if (!this.enabled || !this.badges.length) return;
+    // With sizeAttenuation off a sprite's scale is in units of the view height over 2 * tan(fov / 2)
+    const pxToScale = (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2))) / window.innerHeight;
+    this.badges.forEach(badge => {
+      const distance = badge.mesh.getWorldPosition(this.position).distanceTo(this.camera.position);
+      if (distance > FAR) {
+        badge.sprite.visible = false;
+        return;
+      }
+      const resolution = distance < NEAR ? HIGH_RES : LOW_RES;
+      if (badge.resolution !== resolution) {
+        // Keep showing the current texture until the new one is ready
+        badge.resolution = resolution;
+        this.texture(badge.mesh.userData.handle, resolution).then(texture => {
+          if (!texture || badge.resolution !== resolution) return;
+          badge.sprite.material.map = texture;
+          badge.sprite.material.needsUpdate = true;
+        });
+      }
+      const px = BADGE_PX[badge.kind] * (1 - 0.5 * Math.min(1, distance / FAR));
+      badge.sprite.scale.set(px * pxToScale, px * pxToScale, 1);
+      badge.sprite.visible = !!badge.sprite.material.map;
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.badges.forEach(badge => (badge.sprite.visible = false));
+    return enabled;
+  }
+
+  toggle() {
+    return this.setEnabled(!this.enabled);
+  }
+
+  // Drop the current system's badges and free their textures
+  clear() {
+    this.badges.forEach(({ mesh, sprite }) => {
+      mesh.remove(sprite);
+      sprite.material.dispose();
+    });
+    this.badges = [];
+    this.textures.forEach(promise => promise.then(texture => texture && texture.dispose()));
+    this.textures.clear();
+  }
+}
@@ -0,0 +1,68 @@
+// avatars.js - Avatar URLs from /pfp/manifest.json (written by npm run fetch-avatars), with identicons for the rest
+
+// Lowercase handle -> { files: { [size]: { webp, jpg } } }
+let avatars = new Map();
+const identicons = new Map();
+
+export function loadAvatarManifest() {
+  return fetch('/pfp/manifest.json')
+    .then(res => (res.ok ? res.json() : null))
+    .then(data => {
+      if (data && data.version === 1 && data.avatars) avatars = new Map(Object.entries(data.avatars));
+    })
+    .catch(e => console.warn('Ignoring avatar manifest:', e));
+}
+
+// Files for the smallest size that still covers size px, or the largest there is
+function filesFor(handle, size) {
+  const entry = avatars.get(handle.toLowerCase());
+  if (!entry || !entry.files) return null;
+  const sizes = Object.keys(entry.files).map(Number).sort((a, b) => a - b);
+  if (!sizes.length) return null;
+  return entry.files[sizes.find(s => s >= size) || sizes[sizes.length - 1]];
+}
+
+// URLs to try in order: the manifest's WebP then JPEG, or the file older scrapes saved as /pfp/<handle>.jpg
+export function avatarUrls(handle, size = 48) {
+  const files = filesFor(handle, size);
+  return files ? [files.webp, files.jpg] : [`/pfp/${handle}.jpg`];
+}
+
+// 5x5 mirrored grid in a colour derived from the handle, so a missing avatar still tells people apart
+export function identicon(handle) {
+  const key = handle.toLowerCase();
+  if (identicons.has(key)) return identicons.get(key);
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1c1c1e';
+  ctx.fillRect(0, 0, 64, 64);
+  ctx.fillStyle = `hsl(${hash % 360}, 65%, 60%)`;
+  const cell = 64 / 6;
+  for (let y = 0; y < 5; y++) {
+    for (let x = 0; x < 3; x++) {
+      if (!((hash >>> (y * 3 + x + 8)) & 1)) continue;
+      ctx.fillRect(cell * (0.5 + x), cell * (0.5 + y), cell, cell);
+      ctx.fillRect(cell * (4.5 - x), cell * (0.5 + y), cell, cell);
+    }
+  }
+  const url = canvas.toDataURL();
+  identicons.set(key, url);
+  return url;
+}
+
+// Point an <img> at a user's avatar, stepping through the fallbacks as each one fails to load
+export function setAvatar(img, handle, size = 48) {
+  const urls = [...avatarUrls(handle, size), identicon(handle)];
+  let i = 0;
+  img.onerror = () => {
+    if (i < urls.length - 1) img.src = urls[++i];
+  };
+  img.src = urls[0];
+}
@@ -0,0 +1,47 @@
+// builtUniverse.js - Compact, versioned universe.built.json: users once, systems by user index
+
+export const BUILT_UNIVERSE_VERSION = 1;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Turn computed systems and positions into the file written by `npm run build-universe`
+export function packUniverse({ solarSystems, positions, seed, grouping, layout, unrankedPolicy }) {
+  const users = [];
+  const indexOf = new Map();
+  const ref = user => {
+    if (!indexOf.has(user.handle)) {
+      indexOf.set(user.handle, users.length);
+      users.push(user);
+    }
+    return indexOf.get(user.handle);
+  };
+  const systems = solarSystems.map((system, i) => ({
+    sun: ref(system.sun),
+    planets: system.planets.map(ref),
+    moons: system.moons.map(moons => moons.map(ref)),
+    belt: system.belt.map(ref),
+    planetAngles: system.planetAngles.map(a => round(a, 4)),
+    position: [positions[i].x, positions[i].y, positions[i].z].map(v => round(v, 1)),
+    ...(system.unranked ? { unranked: true } : {})
+  }));
+  return { version: BUILT_UNIVERSE_VERSION, seed, grouping, layout, unrankedPolicy, users, systems };
+}
+
+// Inverse of packUniverse; throws on files from an incompatible build
+export function unpackUniverse(data) {
+  if (!data || data.version !== BUILT_UNIVERSE_VERSION) {
+    throw new Error(`Unsupported universe.built.json version: ${data && data.version}`);
+  }
+  const { users } = data;
+  const user = i => users[i];
+  const solarSystems = data.systems.map(system => ({
+    sun: user(system.sun),
+    planets: system.planets.map(user),
+    moons: system.moons.map(moons => moons.map(user)),
+    belt: system.belt.map(user),
+    planetAngles: system.planetAngles,
+    unranked: Boolean(system.unranked)
+  }));
+  const positions = data.systems.map(({ position: [x, y, z] }) => ({ x, y, z }));
+  return { users, solarSystems, positions, seed: data.seed };
+}
@@ -0,0 +1,56 @@
+// communities.js - Scraped communities (one galaxy each) from communities.json, and who belongs to several
+
+// Used when communities.json is missing: the single universe the viewer always shipped with
+export const DEFAULT_COMMUNITIES = [
+  {
+    id: 'default',
+    name: 'Universe',
+    users: '/universe/universe.json',
+    built: '/universe/universe.built.json',
+    edges: '/universe/edges.json',
+    history: '/universe/history.json'
+  }
+];
+
+// communities.json: { communities: [{ id, name, users, built?, edges?, history?, encoding? }] } with URLs relative to the site root
+export function loadCommunities() {
+  return fetch('/universe/communities.json')
+    .then(res => (res.ok ? res.json() : null))
+    .then(data => {
+      const list = data && Array.isArray(data.communities)
+        ? data.communities.filter(c => c && c.id && c.users)
+        : [];
+      return list.length ? list : DEFAULT_COMMUNITIES;
+    })
+    .catch(e => {
+      console.warn('Ignoring communities.json:', e);
+      return DEFAULT_COMMUNITIES;
+    });
+}
+
+// The community with this id, or the first one listed
+export function resolveCommunity(communities, id) {
+  return communities.find(c => c.id === id) || communities[0];
+}
+
+// Map of lowercase handle -> ids of every community the user was scraped in
+export function loadMemberships(communities) {
+  return Promise.all(communities.map(community =>
+    fetch(community.users)
+      .then(res => (res.ok ? res.json() : []))
+      .catch(() => [])
+      .then(users => ({ id: community.id, users: Array.isArray(users) ? users : [] }))
+  )).then(lists => {
+    const memberships = new Map();
+    lists.forEach(({ id, users }) => {
+      users.forEach(user => {
+        if (!user || !user.handle) return;
+        const key = user.handle.toLowerCase();
+        if (!memberships.has(key)) memberships.set(key, []);
+        const ids = memberships.get(key);
+        if (!ids.includes(id)) ids.push(id);
+      });
+    });
+    return memberships;
+  });
+}
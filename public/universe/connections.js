@@ -0,0 +1,71 @@
+// connections.js - Relationship edges between members, drawn as arcs from the hovered user
+import * as THREE from 'three';
+
+const EDGE_COLORS = {
+  follows: 0x66ccff,
+  mentions: 0xff6ec4
+};
+
+// edges: [{ source, target, type, weight? }] -> Map of handle -> [{ handle, type, weight }] in both directions
+export function buildConnectionMap(edges) {
+  const connections = new Map();
+  const add = (from, to, type, weight) => {
+    if (!connections.has(from)) connections.set(from, []);
+    const list = connections.get(from);
+    if (!list.some(c => c.handle === to && c.type === type)) {
+      list.push({ handle: to, type, weight });
+    }
+  };
+  edges.forEach(({ source, target, type, weight = 1 }) => {
+    if (!source || !target || source === target) return;
+    add(source.toLowerCase(), target.toLowerCase(), type, weight);
+    add(target.toLowerCase(), source.toLowerCase(), type, weight);
+  });
+  return connections;
+}
+
+export class ConnectionArcs {
+  constructor(scene) {
+    this.group = new THREE.Group();
+    this.group.renderOrder = 2;
+    this.enabled = true;
+    scene.add(this.group);
+  }
+
+  // targets: [{ position: THREE.Vector3, type }]
+  show(from, targets) {
+    this.clear();
+    if (!this.enabled) return;
+    targets.forEach(({ position, type }) => {
+      // Lift the midpoint proportionally to the distance so long arcs clear the systems in between
+      const mid = from.clone().add(position).multiplyScalar(0.5);
+      mid.y += from.distanceTo(position) * 0.25;
+      const curve = new THREE.QuadraticBezierCurve3(from, mid, position);
+      const geometry = new THREE.BufferGeometry().setFromPoints(curve.getPoints(48));
+      const material = new THREE.LineBasicMaterial({
+        color: EDGE_COLORS[type] || 0xffffff,
+        transparent: true,
+        opacity: 0.6,
+        depthWrite: false,
+        fog: false
+      });
+      const line = new THREE.Line(geometry, material);
+      line.raycast = () => null;
+      this.group.add(line);
+    });
+  }
+
+  clear() {
+    this.group.children.slice().forEach(line => {
+      this.group.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    if (!this.enabled) this.clear();
+    return this.enabled;
+  }
+}
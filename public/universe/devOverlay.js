@@ -0,0 +1,57 @@
+// devOverlay.js - renderer.info counters in a corner, so leaked geometries and textures show up while developing
+
+// On for localhost and with ?dev=1
+export function isDevBuild() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('dev')) return params.get('dev') !== '0';
+  return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+}
+
+const REFRESH_MS = 500;
+
+export class DevOverlay {
+  constructor(renderer) {
+    this.renderer = renderer;
+    // The composer renders several passes a frame; count them all and reset once per frame instead
+    this.renderer.info.autoReset = false;
+    this.lastRefresh = 0;
+
+    this.container = document.createElement('pre');
+    this.container.style.position = 'fixed';
+    this.container.style.left = '12px';
+    this.container.style.bottom = '12px';
+    this.container.style.margin = '0';
+    this.container.style.padding = '8px 10px';
+    this.container.style.background = 'rgba(0,0,0,0.6)';
+    this.container.style.color = '#8f8';
+    this.container.style.font = '11px/1.4 monospace';
+    this.container.style.borderRadius = '6px';
+    this.container.style.pointerEvents = 'none';
+    this.container.style.zIndex = '3010';
+    document.body.appendChild(this.container);
+  }
+
+  // Call once per frame after rendering; extra lines (e.g. animation registry sizes) are appended as given
+  update(extra = {}) {
+    const now = performance.now();
+    const { memory, render, programs } = this.renderer.info;
+    if (now - this.lastRefresh >= REFRESH_MS) {
+      this.lastRefresh = now;
+      const lines = [
+        `geometries ${memory.geometries}`,
+        `textures   ${memory.textures}`,
+        `programs   ${programs ? programs.length : 0}`,
+        `calls      ${render.calls}`,
+        `triangles  ${render.triangles}`,
+        ...Object.entries(extra).map(([name, value]) => `${name.padEnd(10)} ${value}`)
+      ];
+      this.container.textContent = lines.join('\n');
+    }
+    this.renderer.info.reset();
+  }
+
+  destroy() {
+    this.renderer.info.autoReset = true;
+    this.container.remove();
+  }
+}
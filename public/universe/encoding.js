@@ -0,0 +1,349 @@
+// encoding.js - Declarative mapping from member fields to how their bodies look and move.
+// A spec gives each body kind (sun, planet, moon) a set of channels; each channel reads a field and maps it
+// through a scale onto a range. Presets are picked with ?encoding=<name>, or ?encoding=<url> loads a JSON spec
+import * as THREE from 'three';
+import { hashString } from './random.js';
+
+const PLANET_TEXTURES = ['mercury', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'ceres'];
+// Follower-driven sizes can be switched between these with ?scale= (or the legend); log is the default
+export const SIZE_SCALES = ['log', 'sqrt', 'rank', 'linear'];
+
+// Channel forms:
+//   constant           12, '#ffffff', 'moon'
+//   { value, field, missing }
+//                      value, or missing when the member has no usable field (e.g. no follower count)
+//   { field, scale, domain, range, missing }
+//                      scale 'linear' | 'log' | 'sqrt' | 'rank' maps the field to 0..1 over domain, then onto range
+//                      (two numbers or two colours). domain is 'parent' (0 to the body it orbits; for rank, its
+//                      siblings), 'system', 'galaxy' or explicit [min, max]
+//   { field, scale, domain, values }
+//                      the same 0..1 picks one of values; without a scale, values are picked by the field's
+//                      value modulo their count (numbers) or by a hash of it (text)
+//   { field, match, value }
+//                      the first key of match found as a word in the field's text (case-insensitive), else value
+//   multiply: 'parent' on any of these multiplies the result by the parent body's result for the channel
+// Textures: sun, mercury, mars, jupiter, saturn, uranus, neptune, ceres, moon.
+// Fields are any member property (followers, bio, ...) plus bioLength, joined (first seen, as a timestamp),
+// index (position around the parent, innermost first) and texture (the body's chosen texture)
+//
+// Channels: size, texture, color (tint; the sun's glow colour), glow (the sun's emissive intensity, or the size
+// of a planet or moon's halo relative to the body), metalness and roughness (planets and moons),
+// orbitRadius (semi-major axis) and orbitSpeed (multiplies angular speed)
+// Sizes follow followers across the whole galaxy, so a sun, planet or moon is the same size wherever it is;
+// the ranges keep every sun bigger than its planets and every planet bigger than its moons
+const CLASSIC = {
+  sun: {
+    size: { field: 'followers', scale: 'log', domain: 'galaxy', range: [9, 20], missing: 8 },
+    texture: 'sun',
+    color: '#ffffaa',
+    glow: { field: 'followers', value: 2, missing: 0.6 }
+  },
+  planet: {
+    size: { field: 'followers', scale: 'log', domain: 'galaxy', range: [3, 14], missing: 4 },
+    texture: { field: 'index', values: PLANET_TEXTURES },
+    color: '#ffffff',
+    glow: 1.1,
+    // Rocky textures look right matte, the gas giants with a sheen
+    metalness: { field: 'texture', match: { mercury: 0.2, mars: 0.2, ceres: 0.2 }, value: 0.5 },
+    roughness: { field: 'texture', match: { mercury: 0.95, mars: 0.95, ceres: 0.95 }, value: 0.6 },
+    orbitRadius: { field: 'index', scale: 'linear', domain: [0, 8], range: [80, 560] },
+    orbitSpeed: 1
+  },
+  moon: {
+    size: { field: 'followers', scale: 'log', domain: 'galaxy', range: [0.8, 3.5], missing: 0.8 },
+    texture: 'moon',
+    color: '#ffffff',
+    glow: 1.1,
+    metalness: 0.1,
+    roughness: 0.9,
+    orbitRadius: { field: 'index', scale: 'linear', domain: [0, 2], range: [20, 28] },
+    orbitSpeed: 1
+  }
+};
+
+export const ENCODING_PRESETS = {
+  classic: CLASSIC,
+  // Planets tinted from blue to gold by how their follower count ranks in the galaxy
+  reach: {
+    planet: {
+      color: { field: 'followers', scale: 'rank', domain: 'galaxy', range: ['#8899ff', '#ffe8a0'], missing: '#999999' }
+    },
+    moon: {
+      color: { field: 'followers', scale: 'rank', domain: 'galaxy', range: ['#8899ff', '#ffe8a0'], missing: '#999999' }
+    }
+  },
+  // Old-timers big and warm, newcomers small and cool; newcomers also orbit further out and faster
+  tenure: {
+    sun: {
+      color: { field: 'joined', scale: 'rank', domain: 'galaxy', range: ['#ffcc66', '#aaccff'], missing: '#ffffaa' }
+    },
+    planet: {
+      size: { field: 'joined', scale: 'rank', domain: 'system', range: [14, 5], missing: 6 },
+      color: { field: 'joined', scale: 'rank', domain: 'galaxy', range: ['#ffbb88', '#88bbff'], missing: '#ffffff' },
+      orbitSpeed: { field: 'joined', scale: 'rank', domain: 'system', range: [0.7, 1.6], missing: 1 }
+    },
+    moon: {
+      color: { field: 'joined', scale: 'rank', domain: 'galaxy', range: ['#ffbb88', '#88bbff'], missing: '#ffffff' }
+    }
+  },
+  // Tinted by what members write about; longer bios get a brighter halo
+  topics: {
+    planet: {
+      color: {
+        field: 'bio',
+        match: { ai: '#7fe0ff', saas: '#ffd27f', design: '#ff8fd0', indie: '#a0ff9a', crypto: '#ffb36b', dev: '#b8a6ff' },
+        value: '#ffffff'
+      },
+      glow: { field: 'bioLength', scale: 'linear', domain: [0, 160], range: [0.9, 1.8] }
+    },
+    moon: {
+      color: {
+        field: 'bio',
+        match: { ai: '#7fe0ff', saas: '#ffd27f', design: '#ff8fd0', indie: '#a0ff9a', crypto: '#ffb36b', dev: '#b8a6ff' },
+        value: '#ffffff'
+      }
+    }
+  }
+};
+
+// Channels a spec leaves out keep their classic mapping
+function withDefaults(spec) {
+  const merged = {};
+  Object.keys(CLASSIC).forEach(kind => {
+    merged[kind] = { ...CLASSIC[kind], ...((spec && spec[kind]) || {}) };
+  });
+  return merged;
+}
+
+// ?scale=log|sqrt|rank|linear, or null to keep each spec's own scales
+export function resolveSizeScale() {
+  const param = new URLSearchParams(window.location.search).get('scale');
+  return SIZE_SCALES.includes(param) ? param : null;
+}
+
+// Swap the scale of every size channel that reads followers
+function withSizeScale(spec, scale) {
+  if (!scale) return spec;
+  Object.values(spec).forEach(channels => {
+    const { size } = channels;
+    if (size && typeof size === 'object' && size.field === 'followers' && size.range) {
+      channels.size = { ...size, scale };
+    }
+  });
+  return spec;
+}
+
+// ?encoding=<preset or URL>, else the community's "encoding" entry, else classic; then ?scale= on top
+export function loadEncoding(community) {
+  const name = new URLSearchParams(window.location.search).get('encoding') || community.encoding || 'classic';
+  const spec = ENCODING_PRESETS[name]
+    ? Promise.resolve(withDefaults(ENCODING_PRESETS[name]))
+    : fetch(name)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to load ${name}: ${res.status} ${res.statusText}`);
+        return res.json();
+      })
+      .then(withDefaults)
+      .catch(e => {
+        console.warn(`Ignoring encoding ${name}:`, e);
+        return withDefaults(CLASSIC);
+      });
+  return spec.then(loaded => withSizeScale(loaded, resolveSizeScale()));
+}
+
+function fieldValue(body, field) {
+  const { user } = body;
+  if (field === 'bioLength') return (user.bio || '').length;
+  if (field === 'joined') return Date.parse(user.first_seen);
+  if (field === 'index') return body.index;
+  if (field === 'texture') return body.visual.texture;
+  return user[field];
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || (typeof value === 'number' && !isFinite(value));
+}
+
+function containsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+function lerp(range, t) {
+  const [from, to] = range;
+  if (typeof from === 'number') return from + (to - from) * t;
+  return new THREE.Color(from).lerp(new THREE.Color(to), t);
+}
+
+// Index of the first value in sorted that is >= value
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Visuals for every body of a galaxy, computed once per system from a spec
+export class VisualEncoding {
+  constructor(spec, solarSystems) {
+    this.spec = spec;
+    this.solarSystems = solarSystems;
+    this.systems = new Map();
+    this.populations = new Map();
+  }
+
+  // Switch follower-driven sizes to another of SIZE_SCALES; every system's visuals are worked out again on next use
+  setSizeScale(scale) {
+    this.spec = withSizeScale(this.spec, scale);
+    this.systems.clear();
+  }
+
+  // { sun, planets: [visual], moons: [[visual]] }; a visual holds each channel's value
+  system(sysIdx) {
+    if (!this.systems.has(sysIdx)) this.systems.set(sysIdx, this.describe(sysIdx));
+    return this.systems.get(sysIdx);
+  }
+
+  describe(sysIdx) {
+    const { sun, planets, moons } = this.solarSystems[sysIdx];
+    const sunBody = this.body('sun', sun, 0, null, [sun], sysIdx);
+    const planetBodies = planets.map((u, i) => this.body('planet', u, i, sunBody, planets, sysIdx));
+    const moonBodies = moons.map((satellites, i) =>
+      satellites.map((u, j) => this.body('moon', u, j, planetBodies[i], satellites, sysIdx))
+    );
+    return {
+      sun: sunBody.visual,
+      planets: planetBodies.map(body => body.visual),
+      moons: moonBodies.map(bodies => bodies.map(body => body.visual))
+    };
+  }
+
+  body(kind, user, index, parent, siblings, sysIdx) {
+    const body = { user, index, parent, siblings, sysIdx, visual: {} };
+    // Texture first, so other channels can key off it
+    const channels = this.spec[kind];
+    ['texture', ...Object.keys(channels).filter(name => name !== 'texture')].forEach(name => {
+      body.visual[name] = this.evaluate(channels[name], name, body);
+    });
+    if (body.visual.color !== undefined) body.visual.color = new THREE.Color(body.visual.color);
+    return body;
+  }
+
+  evaluate(channel, name, body) {
+    if (channel === null || typeof channel !== 'object') return channel;
+    let result;
+    const raw = channel.field ? fieldValue(body, channel.field) : undefined;
+    if (channel.match) {
+      const text = String(isMissing(raw) ? '' : raw);
+      const key = Object.keys(channel.match).find(k => containsWord(text, k));
+      result = key !== undefined ? channel.match[key] : channel.value;
+    } else if (channel.field && isMissing(raw)) {
+      result = this.fallback(channel);
+    } else if (channel.value !== undefined) {
+      result = channel.value;
+    } else if (channel.values && !channel.scale) {
+      const n = channel.values.length;
+      const k = typeof raw === 'number' ? Math.floor(raw) : hashString(String(raw));
+      result = channel.values[((k % n) + n) % n];
+    } else {
+      const t = this.position(channel, body, raw);
+      result = channel.values
+        ? channel.values[Math.min(channel.values.length - 1, Math.floor(t * channel.values.length))]
+        : lerp(channel.range, t);
+    }
+    if (channel.multiply === 'parent' && body.parent) {
+      const base = body.parent.visual[name];
+      result = name === 'color' ? new THREE.Color(result).multiply(base) : result * base;
+    }
+    return result;
+  }
+
+  // For members without the field
+  fallback(channel) {
+    if (channel.missing !== undefined) return channel.missing;
+    if (channel.value !== undefined) return channel.value;
+    return (channel.range || channel.values || [])[0];
+  }
+
+  // 0..1: where raw falls in the channel's domain under its scale
+  position(channel, body, raw) {
+    const value = Number(raw);
+    const scale = channel.scale || 'linear';
+    const domain = channel.domain || 'galaxy';
+    let t;
+    if (scale === 'rank' && !Array.isArray(domain)) {
+      const sorted = this.population(channel.field, domain, body);
+      t = sorted.length > 1 ? lowerBound(sorted, value) / (sorted.length - 1) : 0;
+    } else {
+      let lo;
+      let hi;
+      if (Array.isArray(domain)) {
+        [lo, hi] = domain;
+      } else if (domain === 'parent') {
+        lo = 0;
+        hi = body.parent ? Number(fieldValue(body.parent, channel.field)) : value;
+      } else {
+        const sorted = this.population(channel.field, domain, body);
+        lo = sorted[0];
+        hi = sorted[sorted.length - 1];
+      }
+      if (scale === 'log' || scale === 'sqrt') {
+        const f = scale === 'log' ? v => Math.log1p(Math.max(0, v)) : v => Math.sqrt(Math.max(0, v));
+        t = (f(value) - f(lo)) / (f(hi) - f(lo));
+      } else {
+        t = (value - lo) / (hi - lo);
+      }
+    }
+    return isFinite(t) ? Math.min(1, Math.max(0, t)) : 0;
+  }
+
+  // The size a member with this many followers gets as kind ('sun', 'planet' or 'moon'),
+  // or null when that kind's size doesn't follow one galaxy-wide follower scale
+  sizeFor(kind, followers) {
+    const channel = this.spec[kind].size;
+    if (!channel || channel.field !== 'followers' || !channel.range) return null;
+    if (channel.domain && channel.domain !== 'galaxy' && !Array.isArray(channel.domain)) return null;
+    return this.evaluate(channel, 'size', { user: { followers }, index: 0, parent: null, siblings: [], sysIdx: 0, visual: {} });
+  }
+
+  // Scale and [min, max] of a kind's follower-driven size, for the legend
+  sizeScale(kind) {
+    const channel = this.spec[kind].size;
+    const followers = this.population('followers', 'galaxy', null);
+    return {
+      scale: (channel && channel.scale) || 'linear',
+      min: followers[0],
+      max: followers[followers.length - 1]
+    };
+  }
+
+  // Sorted usable values of field among a body's siblings, its system or the whole galaxy
+  population(field, domain, body) {
+    if (domain === 'parent') {
+      return body.siblings
+        .map((user, index) => Number(fieldValue({ user, index, visual: {} }, field)))
+        .filter(v => !isMissing(v))
+        .sort((a, b) => a - b);
+    }
+    const key = `${field}:${domain}:${domain === 'system' ? body.sysIdx : ''}`;
+    if (!this.populations.has(key)) {
+      const systems = domain === 'system' ? [this.solarSystems[body.sysIdx]] : this.solarSystems;
+      const values = [];
+      systems.forEach(({ sun, planets, moons }) => {
+        const add = (user, index) => {
+          const value = fieldValue({ user, index, visual: {} }, field);
+          if (!isMissing(value)) values.push(Number(value));
+        };
+        add(sun, 0);
+        planets.forEach(add);
+        moons.forEach(satellites => satellites.forEach(add));
+      });
+      this.populations.set(key, values.sort((a, b) => a - b));
+    }
+    return this.populations.get(key);
+  }
+}
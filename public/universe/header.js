@@ -1,7 +1,28 @@
+import { searchIndex } from './search.js';
+import { setAvatar } from './avatars.js';
+
+const ROLE_COLORS = {
+  sun: '#ffcc33',
+  planet: '#aaaaff',
+  moon: '#cccccc',
+  asteroid: '#888888'
+};
+
+// Compact follower counts for the dropdown: 69400 -> 69.4K
+function formatCount(followers) {
+  if (typeof followers !== 'number') return '?';
+  if (followers >= 1e6) return `${+(followers / 1e6).toFixed(1)}M`;
+  if (followers >= 1e3) return `${+(followers / 1e3).toFixed(1)}K`;
+  return String(followers);
+}
+
 export class Header {
-  constructor(users, onUserSelect) {
-    this.users = users;
+  // searchEntries come from buildSearchIndex, so only users placed in the scene are offered
+  constructor(searchEntries, onUserSelect, { searchBio = false } = {}) {
+    this.searchEntries = searchEntries;
     this.onUserSelect = onUserSelect;
+    this.onGalaxySelect = null;
+    this.searchBio = searchBio;
     this.findMeResults = [];
     this.findMeSelected = -1;
     this.isMobile = /Mobi|Android/i.test(navigator.userAgent);
@@ -106,6 +127,23 @@ export class Header {
     searchWrapper.style.boxShadow = '0 2px 8px rgba(0,0,0,0.08)';
     searchWrapper.appendChild(this.input);
 
+    // Toggle for also matching bio text
+    this.bioToggle = document.createElement('button');
+    this.bioToggle.type = 'button';
+    this.bioToggle.innerText = 'Bio';
+    this.bioToggle.title = 'Also search bios';
+    this.bioToggle.style.marginLeft = '8px';
+    this.bioToggle.style.height = '28px';
+    this.bioToggle.style.padding = '0 10px';
+    this.bioToggle.style.borderRadius = '14px';
+    this.bioToggle.style.border = '1px solid rgba(255,255,255,0.2)';
+    this.bioToggle.style.color = '#fff';
+    this.bioToggle.style.fontSize = '12px';
+    this.bioToggle.style.cursor = 'pointer';
+    this.bioToggle.className = 'mobile-optimized';
+    this.updateBioToggle();
+    searchWrapper.appendChild(this.bioToggle);
+
     // Add My Star button
     const addMeBtn = document.createElement('a');
     addMeBtn.innerHTML = 'Add My Star';
@@ -152,12 +190,35 @@ export class Header {
     this.dropdown.className = 'mobile-optimized mobile-dropdown';
 
     searchContainer.appendChild(this.dropdown);
+
+    // Galaxy switcher, only shown when more than one community has been scraped
+    this.galaxySelect = document.createElement('select');
+    this.galaxySelect.setAttribute('aria-label', 'Switch galaxy');
+    this.galaxySelect.style.display = 'none';
+    this.galaxySelect.style.height = this.isMobile ? '36px' : '40px';
+    this.galaxySelect.style.padding = '0 12px';
+    this.galaxySelect.style.marginRight = this.isMobile ? '8px' : '12px';
+    this.galaxySelect.style.borderRadius = '20px';
+    this.galaxySelect.style.border = '1px solid rgba(255,255,255,0.2)';
+    this.galaxySelect.style.background = 'rgba(28,28,30,0.9)';
+    this.galaxySelect.style.color = '#fff';
+    this.galaxySelect.style.fontSize = '14px';
+    this.galaxySelect.style.outline = 'none';
+    this.galaxySelect.style.cursor = 'pointer';
+    this.galaxySelect.className = 'mobile-optimized';
+
+    this.container.appendChild(this.galaxySelect);
     this.container.appendChild(searchContainer);
     document.body.appendChild(this.container);
 
     this.setupEventListeners();
   }
 
+  updateBioToggle() {
+    this.bioToggle.style.background = this.searchBio ? 'rgba(255,110,196,0.45)' : 'transparent';
+    this.bioToggle.setAttribute('aria-pressed', String(this.searchBio));
+  }
+
   setupEventListeners() {
     // Debounce search for better mobile performance
     let searchTimeout;
@@ -168,6 +229,14 @@ export class Header {
       }, this.isMobile ? 150 : 100); // Slightly longer debounce on mobile
     };
 
+    this.bioToggle.addEventListener('mousedown', (e) => {
+      e.preventDefault(); // Keep focus (and the dropdown) on the input
+      this.searchBio = !this.searchBio;
+      this.updateBioToggle();
+      const val = this.input.value.trim().toLowerCase();
+      if (val) this.performSearch(val);
+    });
+
     this.input.addEventListener('input', () => {
       const val = this.input.value.trim().toLowerCase();
       if (!val) {
@@ -217,9 +286,9 @@ export class Header {
         e.preventDefault();
       } else if (e.key === 'Enter') {
         if (this.findMeSelected >= 0 && this.findMeSelected < this.findMeResults.length) {
-          this.onUserSelect(this.findMeResults[this.findMeSelected]);
+          this.onUserSelect(this.findMeResults[this.findMeSelected].user);
         } else if (this.findMeResults.length) {
-          this.onUserSelect(this.findMeResults[0]);
+          this.onUserSelect(this.findMeResults[0].user);
         }
         this.input.value = '';
         this.dropdown.style.display = 'none';
@@ -235,16 +304,49 @@ export class Header {
     this.input.addEventListener('focus', () => {
       this.input.style.background = 'rgba(255,255,255,0.15)';
     });
+
+    this.galaxySelect.addEventListener('change', () => {
+      this.galaxySelect.blur(); // Keep keyboard shortcuts from cycling the options
+      if (this.onGalaxySelect) this.onGalaxySelect(this.galaxySelect.value);
+    });
+  }
+
+  // Called whenever a galaxy is (re)built so search only offers users placed in it
+  setSearchEntries(searchEntries) {
+    this.searchEntries = searchEntries;
+    this.input.value = '';
+    this.dropdown.style.display = 'none';
+    this.dropdown.innerHTML = '';
+    this.findMeResults = [];
+    this.findMeSelected = -1;
+  }
+
+  // galaxies: [{ id, name }] from communities.json
+  setGalaxies(galaxies, activeId, onGalaxySelect) {
+    this.onGalaxySelect = onGalaxySelect;
+    this.galaxySelect.innerHTML = '';
+    galaxies.forEach(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.innerText = name || id;
+      this.galaxySelect.appendChild(option);
+    });
+    this.galaxySelect.style.display = galaxies.length > 1 ? 'block' : 'none';
+    this.setActiveGalaxy(activeId);
+  }
+
+  setActiveGalaxy(id) {
+    this.galaxySelect.value = id;
   }
 
   performSearch(val) {
-    this.findMeResults = this.users.filter(u =>
-      (u.handle && u.handle.toLowerCase().includes(val)) ||
-      (u.name && u.name.toLowerCase().includes(val))
-    ).slice(0, this.isMobile ? 3 : 4); // Show fewer results on mobile
+    this.findMeResults = searchIndex(this.searchEntries, val, {
+      limit: this.isMobile ? 3 : 4, // Show fewer results on mobile
+      includeBio: this.searchBio
+    });
 
     this.dropdown.innerHTML = '';
-    this.findMeResults.forEach((u, idx) => {
+    this.findMeResults.forEach(({ user: u, role }, idx) => {
       const row = document.createElement('div');
       row.style.display = 'flex';
       row.style.alignItems = 'center';
@@ -282,7 +384,7 @@ export class Header {
       }
 
       const img = document.createElement('img');
-      img.src = `/pfp/${u.handle}.jpg`;
+      setAvatar(img, u.handle);
       img.style.width = this.isMobile ? '36px' : '32px';
       img.style.height = this.isMobile ? '36px' : '32px';
       img.style.borderRadius = '50%';
@@ -294,8 +396,32 @@ export class Header {
       handle.innerText = '@' + u.handle;
       handle.style.fontSize = this.isMobile ? '16px' : '15px';
       handle.style.color = '#fff';
+      handle.style.flex = '1';
+      handle.style.overflow = 'hidden';
+      handle.style.textOverflow = 'ellipsis';
+      handle.style.whiteSpace = 'nowrap';
       row.appendChild(handle);
 
+      const badge = document.createElement('span');
+      badge.innerText = role;
+      badge.style.fontSize = '11px';
+      badge.style.textTransform = 'uppercase';
+      badge.style.letterSpacing = '0.5px';
+      badge.style.padding = '2px 8px';
+      badge.style.borderRadius = '10px';
+      badge.style.color = ROLE_COLORS[role] || '#fff';
+      badge.style.border = `1px solid ${ROLE_COLORS[role] || '#fff'}`;
+      row.appendChild(badge);
+
+      const followers = document.createElement('span');
+      followers.innerText = formatCount(u.followers);
+      followers.title = 'Followers';
+      followers.style.fontSize = '13px';
+      followers.style.color = '#aaa';
+      followers.style.minWidth = '40px';
+      followers.style.textAlign = 'right';
+      row.appendChild(followers);
+
       this.dropdown.appendChild(row);
     });
 
@@ -0,0 +1,200 @@
+// hierarchy.js - Builds the full sun/planet/moon data model up front, independent of what has been rendered
+import { deriveRandom } from './random.js';
+
+const PLANETS_PER_SYSTEM = 9;
+const MIN_MOONS = 1;
+const MAX_MOONS = 3;
+
+const byFollowersDesc = (a, b) => (b.followers || 0) - (a.followers || 0);
+
+// Users without a positive follower count are "unranked" and placed by the unranked policy
+export const hasFollowerCount = user => typeof user.followers === 'number' && user.followers > 0;
+
+// --- GROUPING STRATEGIES ---
+// A strategy splits the ranked users into ordered clusters; related users should sit next to
+// each other so that slicing a cluster into systems keeps them in the same system.
+
+// Scrape order, as the community members list returned them
+function groupByOrder(users) {
+  return [users];
+}
+
+// One cluster per order of magnitude of followers (10k+, 1k+, 100+, ...)
+function groupByFollowerTier(users) {
+  const tiers = new Map();
+  [...users].sort(byFollowersDesc).forEach(user => {
+    const tier = Math.floor(Math.log10(Math.max(user.followers, 1)));
+    if (!tiers.has(tier)) tiers.set(tier, []);
+    tiers.get(tier).push(user);
+  });
+  return [...tiers.values()];
+}
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'are', 'that', 'this', 'from', 'our', 'out', 'all',
+  'about', 'into', 'not', 'but', 'what', 'who', 'how', 'now', 'get', 'its', 'his', 'her', 'they',
+  'will', 'can', 'just', 'more', 'one', 'have', 'has', 'was', 'http', 'https', 'www', 'com'
+]);
+const TOPIC_COUNT = 24;
+
+function bioKeywords(bio) {
+  const words = (bio || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+  return new Set(words);
+}
+
+// Cluster by the most specific of the community's most common bio keywords; the rest share a cluster
+function groupByTopic(users) {
+  const keywords = users.map(user => bioKeywords(user.bio));
+  const frequency = new Map();
+  keywords.forEach(set => set.forEach(w => frequency.set(w, (frequency.get(w) || 0) + 1)));
+  const topics = [...frequency.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, TOPIC_COUNT)
+    .map(([word]) => word);
+
+  const clusters = new Map(topics.map(topic => [topic, []]));
+  const misc = [];
+  users.forEach((user, i) => {
+    // Rarest matching topic wins, so "ai" doesn't swallow "indiehackers"
+    const topic = topics.filter(t => keywords[i].has(t)).pop();
+    if (topic) clusters.get(topic).push(user);
+    else misc.push(user);
+  });
+  return [...clusters.values(), misc].filter(cluster => cluster.length);
+}
+
+// Walk mutual-follow edges breadth-first from the biggest accounts so neighbours end up adjacent.
+// edges: [{ source, target, type }] with handles; only 'follows' edges present in both directions count.
+function groupByGraph(users, { edges = [] } = {}) {
+  if (!edges.length) {
+    console.warn('No edges available for graph grouping, falling back to scrape order');
+    return groupByOrder(users);
+  }
+  const handles = new Set(users.map(u => u.handle));
+  const follows = new Set(
+    edges.filter(e => e.type === 'follows').map(e => `${e.source}>${e.target}`)
+  );
+  const neighbours = new Map(users.map(u => [u.handle, []]));
+  edges.forEach(({ source, target, type }) => {
+    if (type !== 'follows' || source >= target) return;
+    if (handles.has(source) && handles.has(target) && follows.has(`${target}>${source}`)) {
+      neighbours.get(source).push(target);
+      neighbours.get(target).push(source);
+    }
+  });
+
+  const byHandle = new Map(users.map(u => [u.handle, u]));
+  const visited = new Set();
+  const clusters = [];
+  const isolated = [];
+  [...users].sort(byFollowersDesc).forEach(root => {
+    if (visited.has(root.handle)) return;
+    visited.add(root.handle);
+    if (!neighbours.get(root.handle).length) {
+      isolated.push(root);
+      return;
+    }
+    const cluster = [];
+    const queue = [root.handle];
+    while (queue.length) {
+      const handle = queue.shift();
+      cluster.push(byHandle.get(handle));
+      neighbours.get(handle)
+        .map(h => byHandle.get(h))
+        .sort(byFollowersDesc)
+        .forEach(({ handle: next }) => {
+          if (!visited.has(next)) {
+            visited.add(next);
+            queue.push(next);
+          }
+        });
+    }
+    clusters.push(cluster);
+  });
+  if (isolated.length) clusters.push(isolated);
+  return clusters;
+}
+
+export const GROUPING_STRATEGIES = {
+  order: groupByOrder,
+  tier: groupByFollowerTier,
+  topic: groupByTopic,
+  graph: groupByGraph
+};
+
+// Each system takes a sun, up to nine planets and 1-3 moons per planet from the next slice of a cluster.
+// The slice is sorted so every moon has fewer followers than the planet it orbits.
+function buildRankedSystems(clusters, seed) {
+  const systems = [];
+  clusters.forEach(users => sliceCluster(users, seed, systems));
+  return systems;
+}
+
+function sliceCluster(users, seed, systems) {
+  let i = 0;
+  while (i < users.length) {
+    const sysIdx = systems.length;
+    const moonRandom = deriveRandom(seed, 'moons', sysIdx);
+    const moonCounts = Array.from({ length: PLANETS_PER_SYSTEM }, () =>
+      MIN_MOONS + Math.floor(moonRandom() * (MAX_MOONS - MIN_MOONS + 1))
+    );
+    const size = 1 + PLANETS_PER_SYSTEM + moonCounts.reduce((sum, n) => sum + n, 0);
+    const members = users.slice(i, i + size).sort(byFollowersDesc);
+    i += size;
+
+    const [sun, ...rest] = members;
+    const planets = rest.slice(0, PLANETS_PER_SYSTEM);
+    const moonPool = rest.slice(PLANETS_PER_SYSTEM);
+    const moons = planets.map((_, p) => moonPool.splice(0, moonCounts[p]));
+    systems.push(createSystem(seed, sysIdx, sun, planets, moons, false));
+  }
+}
+
+// Orbit phases come from a per-system stream so they match between LOD levels
+function createSystem(seed, sysIdx, sun, planets, moons, unranked) {
+  const random = deriveRandom(seed, 'orbits', sysIdx);
+  const planetAngles = planets.map(() => random() * Math.PI * 2);
+  return { sun, planets, moons, planetAngles, belt: [], unranked };
+}
+
+// Unranked users are placed per policy ('belt', 'cluster' or 'hidden'); grouping names one of GROUPING_STRATEGIES
+export function buildSolarSystems(rankedUsers, unrankedUsers, { seed, unrankedPolicy, grouping = 'order', edges }) {
+  const strategy = GROUPING_STRATEGIES[grouping] || groupByOrder;
+  const solarSystems = buildRankedSystems(strategy(rankedUsers, { edges }), seed);
+
+  // Unranked users either join the ranked systems' asteroid belts or form their own systems
+  if (unrankedPolicy === 'belt') {
+    unrankedUsers.forEach((user, i) => {
+      solarSystems[i % solarSystems.length].belt.push(user);
+    });
+  } else if (unrankedPolicy === 'cluster') {
+    for (let i = 0; i < unrankedUsers.length; i += PLANETS_PER_SYSTEM + 1) {
+      const [sun, ...planets] = unrankedUsers.slice(i, i + PLANETS_PER_SYSTEM + 1);
+      solarSystems.push(createSystem(seed, solarSystems.length, sun, planets, planets.map(() => []), true));
+    }
+  }
+  return solarSystems;
+}
+
+// Map of lowercased handle -> { user, role, systemIndex, planetIndex } for every placed user
+export function buildHandleIndex(solarSystems) {
+  const index = new Map();
+  const add = (user, role, systemIndex, planetIndex = null) => {
+    if (user && user.handle) {
+      index.set(user.handle.toLowerCase(), { user, role, systemIndex, planetIndex });
+    }
+  };
+  solarSystems.forEach((system, systemIndex) => {
+    add(system.sun, 'sun', systemIndex);
+    system.planets.forEach((planet, p) => {
+      add(planet, 'planet', systemIndex, p);
+      system.moons[p].forEach(moon => add(moon, 'moon', systemIndex, p));
+    });
+    system.belt.forEach(asteroid => add(asteroid, 'asteroid', systemIndex));
+  });
+  return index;
+}
@@ -0,0 +1,420 @@
+// layout.js - Places solar systems in galaxy space, shared by the viewer and the offline build
+import { deriveRandom } from './random.js';
+
+export const GALAXY_RADIUS = 6000;
+const MIN_DIST = 500;
+const EDGE_BUFFER = 300;
+// Proposals tried per system before stepping outwards from the last one
+const MAX_TRIES = 1000;
+// Unranked systems get a smaller sphere of their own behind the galaxy
+const UNRANKED_CLUSTER_RADIUS = 3000;
+
+// Room per system, in multiples of MIN_DIST: big datasets grow the galaxy past GALAXY_RADIUS instead of crowding it.
+// Discs and spirals thicken with their radius, so they fill a volume too, just a thinner one
+const SPHERE_SPACING = 1.1;
+const DISC_SPACING = 1.9;
+const SPIRAL_SPACING = 2.4;
+
+// Spiral: arms wind out from ARM_START of the radius at a constant pitch angle
+const ARM_COUNT = 4;
+const ARM_PITCH = (14 * Math.PI) / 180;
+const ARM_START = 0.08;
+// Scatter across an arm and above the plane, as fractions of the radius
+const ARM_SPREAD = 0.05;
+const SPIRAL_THICKNESS = 0.03;
+
+// Disc: the top BULGE_SHARE of suns fill a flattened core, the rest spread outwards by rank
+const BULGE_SHARE = 0.1;
+const BULGE_RADIUS = 0.25;
+const BULGE_FLATTENING = 0.6;
+const DISC_SCATTER = 0.08;
+const DISC_THICKNESS = 0.04;
+
+// Clusters: a force-directed layout where linked systems pull together and every system pushes its neighbours away
+const FORCE_ITERATIONS = 60;
+// Steps shrink towards MIN_FORCE_ITERATIONS once FORCE_ITERATIONS × systems would pass FORCE_BUDGET
+const MIN_FORCE_ITERATIONS = 4;
+const FORCE_BUDGET = 100000;
+const LINK_LENGTH = 2.5 * MIN_DIST;
+// Repulsion is cut off at this range so each step only looks at nearby systems
+const REPULSION_RANGE = 1.5 * LINK_LENGTH;
+const SPRING = 4;
+const GRAVITY = 0.001;
+// Consecutive systems come from the same cluster slice, so they are linked even without edges
+const CHAIN_WEIGHT = 0.5;
+// Share of systems that should fit inside a sphere layout's radius once the simulation has settled
+const SPREAD_QUANTILE = 0.9;
+
+function randomPointInSphere(radius, random) {
+  let u = random();
+  let v = random();
+  let theta = 2 * Math.PI * u;
+  let phi = Math.acos(2 * v - 1);
+  let r = Math.cbrt(random()) * radius;
+  return {
+    x: r * Math.sin(phi) * Math.cos(theta),
+    y: r * Math.sin(phi) * Math.sin(theta),
+    z: r * Math.cos(phi)
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function distance3D(a, b) {
+  return Math.sqrt((a.x-b.x)**2 + (a.y-b.y)**2 + (a.z-b.z)**2);
+}
+
+// Radius that leaves each of count systems about spacing × MIN_DIST of room, never below minimum
+function layoutRadius(count, spacing, minimum = GALAXY_RADIUS) {
+  const needed = spacing * MIN_DIST * Math.cbrt(count) + EDGE_BUFFER;
+  return Math.max(minimum, needed);
+}
+
+// --- SPATIAL GRID ---
+const GRID_OFFSET = 2 ** 15;
+const GRID_SPAN = 2 ** 16;
+// Points bucketed into cubes of cellSize, so finding those within cellSize of a point means
+// looking at 27 cells instead of every point placed so far
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  // One number per cell, exact while coordinates stay within 2^15 cells of the origin
+  cellKey(ix, iy, iz) {
+    return ((ix + GRID_OFFSET) * GRID_SPAN + (iy + GRID_OFFSET)) * GRID_SPAN + (iz + GRID_OFFSET);
+  }
+
+  add(point) {
+    const key = this.cellKey(
+      Math.floor(point.x / this.cellSize),
+      Math.floor(point.y / this.cellSize),
+      Math.floor(point.z / this.cellSize)
+    );
+    const cell = this.cells.get(key);
+    if (cell) cell.push(point);
+    else this.cells.set(key, [point]);
+  }
+
+  // Calls visit(other) for every point in the cells around point; callers check the actual distance
+  forEachNear(point, visit) {
+    const ix = Math.floor(point.x / this.cellSize);
+    const iy = Math.floor(point.y / this.cellSize);
+    const iz = Math.floor(point.z / this.cellSize);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cell = this.cells.get(this.cellKey(ix + dx, iy + dy, iz + dz));
+          if (cell) cell.forEach(visit);
+        }
+      }
+    }
+  }
+
+  // Whether no point lies closer than minDist (at most cellSize)
+  isClear(point, minDist) {
+    let clear = true;
+    this.forEachNear(point, other => {
+      if (clear && distance3D(point, other) < minDist) clear = false;
+    });
+    return clear;
+  }
+}
+
+// --- LAYOUTS ---
+// Each layout gets the ranked system indices and returns { radius, order, propose }: the galaxy radius,
+// the order to place systems in, and propose(i, attempt) giving a candidate position for system i.
+// Candidates too close to an already placed system are rejected and proposed again.
+
+// Uniform inside a sphere
+function sphereLayout(solarSystems, ranked, { random }) {
+  const radius = layoutRadius(ranked.length, SPHERE_SPACING);
+  return {
+    radius,
+    order: ranked,
+    propose: () => randomPointInSphere(radius - EDGE_BUFFER, random)
+  };
+}
+
+// Logarithmic spiral arms (r = a·e^(bθ)) with systems dealt round-robin to the arms
+function spiralLayout(solarSystems, ranked, { random }) {
+  const radius = layoutRadius(ranked.length, SPIRAL_SPACING);
+  const outer = radius - EDGE_BUFFER;
+  const tightness = Math.tan(ARM_PITCH);
+  const armOf = new Map(ranked.map((i, k) => [i, k % ARM_COUNT]));
+  return {
+    radius,
+    order: ranked,
+    propose: i => {
+      const arm = armOf.get(i);
+      // sqrt keeps the density along the arms even as they widen outwards
+      const f = ARM_START + (1 - ARM_START) * Math.sqrt(random());
+      const theta = Math.log(f / ARM_START) / tightness + (arm / ARM_COUNT) * Math.PI * 2;
+      const spread = ARM_SPREAD * outer * (0.5 + f);
+      return {
+        x: f * outer * Math.cos(theta) + gaussian(random) * spread,
+        y: gaussian(random) * SPIRAL_THICKNESS * outer,
+        z: f * outer * Math.sin(theta) + gaussian(random) * spread
+      };
+    }
+  };
+}
+
+// A thin disc around a flattened bulge; the biggest suns take the core and smaller ones sit further out
+function discLayout(solarSystems, ranked, { random }) {
+  const radius = layoutRadius(ranked.length, DISC_SPACING);
+  const outer = radius - EDGE_BUFFER;
+  const order = [...ranked].sort((a, b) => solarSystems[b].sun.followers - solarSystems[a].sun.followers);
+  const rankOf = new Map(order.map((i, rank) => [i, rank]));
+  const bulgeCount = Math.max(1, Math.ceil(order.length * BULGE_SHARE));
+  const discCount = Math.max(1, order.length - bulgeCount);
+  return {
+    radius,
+    order,
+    propose: i => {
+      const rank = rankOf.get(i);
+      if (rank < bulgeCount) {
+        const pt = randomPointInSphere(BULGE_RADIUS * outer, random);
+        pt.y *= BULGE_FLATTENING;
+        return pt;
+      }
+      // Rank sets the distance from the core, with some scatter so the rings don't show
+      // Scatter past either end is folded back in rather than clamped, which would pile systems onto the rim
+      let f = Math.abs((rank - bulgeCount + 0.5) / discCount + gaussian(random) * DISC_SCATTER);
+      if (f > 1) f = Math.max(0, 2 - f);
+      const r = outer * (BULGE_RADIUS + (1 - BULGE_RADIUS) * Math.sqrt(f));
+      const theta = random() * Math.PI * 2;
+      return {
+        x: r * Math.cos(theta),
+        // The disc thins towards its edge
+        y: gaussian(random) * DISC_THICKNESS * outer * (1 - 0.5 * f),
+        z: r * Math.sin(theta)
+      };
+    }
+  };
+}
+
+const PAIR_SPAN = 2 ** 26;
+
+// Weighted links between systems: edges between their members plus a chain through consecutive systems
+function systemLinks(solarSystems, ranked, edges) {
+  const systemOf = new Map();
+  ranked.forEach(i => {
+    const { sun, planets, moons } = solarSystems[i];
+    [sun, ...planets, ...moons.flat()].forEach(user => systemOf.set(user.handle, i));
+  });
+  // Keyed by one number per unordered pair; system indices stay far below 2^26, so the key is exact
+  const weights = new Map();
+  const link = (a, b, weight) => {
+    if (a === b) return;
+    const key = a < b ? a * PAIR_SPAN + b : b * PAIR_SPAN + a;
+    weights.set(key, (weights.get(key) || 0) + weight);
+  };
+  edges.forEach(edge => {
+    const a = systemOf.get(edge.source);
+    const b = systemOf.get(edge.target);
+    if (a !== undefined && b !== undefined) link(a, b, edge.weight || 1);
+  });
+  for (let k = 1; k < ranked.length; k++) link(ranked[k - 1], ranked[k], CHAIN_WEIGHT);
+  const pairs = [];
+  const degree = new Map();
+  weights.forEach((weight, key) => {
+    const a = Math.floor(key / PAIR_SPAN);
+    const b = key % PAIR_SPAN;
+    pairs.push([a, b, weight]);
+    degree.set(a, (degree.get(a) || 0) + 1);
+    degree.set(b, (degree.get(b) || 0) + 1);
+  });
+  // Heavily linked pairs pull harder, but a system with many links feels each one less,
+  // so well-connected hubs don't drag their whole neighbourhood into a knot
+  return pairs.map(([a, b, weight]) => ({
+    a,
+    b,
+    strength: Math.log1p(weight) / Math.min(degree.get(a), degree.get(b))
+  }));
+}
+
+// Fruchterman-Reingold style: nearby systems repel, links stretched past LINK_LENGTH pull back like springs and a weak
+// gravity keeps unlinked clusters in view. Springs rather than FR's d²/k attraction, because with repulsion cut off at
+// REPULSION_RANGE nothing would stop a densely linked graph from collapsing. Repulsion goes through a grid of
+// REPULSION_RANGE cells, and big galaxies get fewer steps, so the whole pass stays about linear in the system count
+function forceDirected(solarSystems, ranked, edges, random) {
+  const n = ranked.length;
+  const slot = new Map(ranked.map((i, k) => [i, k]));
+  const links = systemLinks(solarSystems, ranked, edges).map(({ a, b, strength }) => [slot.get(a), slot.get(b), strength]);
+  const iterations = Math.round(Math.min(FORCE_ITERATIONS, Math.max(MIN_FORCE_ITERATIONS, FORCE_BUDGET / n)));
+  const x = new Float64Array(n);
+  const y = new Float64Array(n);
+  const z = new Float64Array(n);
+  const mx = new Float64Array(n);
+  const my = new Float64Array(n);
+  const mz = new Float64Array(n);
+
+  // Start on a snake through a cube, a link length apart: consecutive systems are slices of the same cluster,
+  // so they begin side by side and the few steps a big galaxy gets only have to tidy up
+  const side = Math.ceil(Math.cbrt(n));
+  const centre = (side - 1) / 2;
+  for (let k = 0; k < n; k++) {
+    const layer = Math.floor(k / (side * side));
+    let row = Math.floor(k / side) % side;
+    let col = k % side;
+    if (row % 2) col = side - 1 - col;
+    if (layer % 2) row = side - 1 - row;
+    x[k] = (col - centre + (random() - 0.5) * 0.5) * LINK_LENGTH;
+    y[k] = (layer - centre + (random() - 0.5) * 0.5) * LINK_LENGTH;
+    z[k] = (row - centre + (random() - 0.5) * 0.5) * LINK_LENGTH;
+  }
+
+  const k2 = LINK_LENGTH * LINK_LENGTH;
+  const range2 = REPULSION_RANGE * REPULSION_RANGE;
+  const cellKey = (ix, iy, iz) => ((ix + GRID_OFFSET) * GRID_SPAN + (iy + GRID_OFFSET)) * GRID_SPAN + (iz + GRID_OFFSET);
+  for (let step = 0; step < iterations; step++) {
+    // Largest move allowed this step, cooling linearly
+    const temperature = LINK_LENGTH * (1 - step / iterations) + MIN_DIST * 0.05;
+    mx.fill(0);
+    my.fill(0);
+    mz.fill(0);
+    const cells = new Map();
+    for (let k = 0; k < n; k++) {
+      const key = cellKey(
+        Math.floor(x[k] / REPULSION_RANGE),
+        Math.floor(y[k] / REPULSION_RANGE),
+        Math.floor(z[k] / REPULSION_RANGE)
+      );
+      const cell = cells.get(key);
+      if (cell) cell.push(k);
+      else cells.set(key, [k]);
+    }
+
+    for (let k = 0; k < n; k++) {
+      const ix = Math.floor(x[k] / REPULSION_RANGE);
+      const iy = Math.floor(y[k] / REPULSION_RANGE);
+      const iz = Math.floor(z[k] / REPULSION_RANGE);
+      for (let cx = ix - 1; cx <= ix + 1; cx++) {
+        for (let cy = iy - 1; cy <= iy + 1; cy++) {
+          for (let cz = iz - 1; cz <= iz + 1; cz++) {
+            const cell = cells.get(cellKey(cx, cy, cz));
+            if (!cell) continue;
+            for (let c = 0; c < cell.length; c++) {
+              const j = cell[c];
+              if (j <= k) continue;
+              let dx = x[k] - x[j], dy = y[k] - y[j], dz = z[k] - z[j];
+              let d2 = dx * dx + dy * dy + dz * dz;
+              if (d2 >= range2) continue;
+              if (d2 < 1) {
+                dx = random() - 0.5; dy = random() - 0.5; dz = random() - 0.5;
+                d2 = 1;
+              }
+              const force = k2 / d2;
+              mx[k] += dx * force; my[k] += dy * force; mz[k] += dz * force;
+              mx[j] -= dx * force; my[j] -= dy * force; mz[j] -= dz * force;
+            }
+          }
+        }
+      }
+    }
+
+    for (let l = 0; l < links.length; l++) {
+      const [a, b, strength] = links[l];
+      const dx = x[a] - x[b], dy = y[a] - y[b], dz = z[a] - z[b];
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (d <= LINK_LENGTH) continue;
+      const force = SPRING * strength * (d - LINK_LENGTH) / d;
+      mx[a] -= dx * force; my[a] -= dy * force; mz[a] -= dz * force;
+      mx[b] += dx * force; my[b] += dy * force; mz[b] += dz * force;
+    }
+
+    for (let k = 0; k < n; k++) {
+      const dx = mx[k] - x[k] * GRAVITY, dy = my[k] - y[k] * GRAVITY, dz = mz[k] - z[k] * GRAVITY;
+      const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (length === 0) continue;
+      const scale = Math.min(length, temperature) / length;
+      x[k] += dx * scale; y[k] += dy * scale; z[k] += dz * scale;
+    }
+  }
+  return ranked.map((_, k) => ({ x: x[k], y: y[k], z: z[k] }));
+}
+
+// Force-directed clusters: systems whose members follow each other end up side by side
+function clustersLayout(solarSystems, ranked, { random, edges = [] }) {
+  const nodes = forceDirected(solarSystems, ranked, edges, random);
+  const slot = new Map(ranked.map((i, k) => [i, k]));
+  // Densely linked graphs settle tighter than MIN_DIST allows; spread them evenly until most systems
+  // have a sphere layout's room, so placement only has to fix up the odd pair
+  const reaches = nodes.map(node => Math.hypot(node.x, node.y, node.z)).sort((a, b) => a - b);
+  const bulk = reaches[Math.floor(reaches.length * SPREAD_QUANTILE)] || 0;
+  const spread = bulk > 0 ? Math.max(1, (layoutRadius(nodes.length, SPHERE_SPACING) - EDGE_BUFFER) / bulk) : 1;
+  nodes.forEach(node => {
+    node.x *= spread; node.y *= spread; node.z *= spread;
+  });
+  const extent = nodes.reduce((reach, node) => Math.max(reach, Math.hypot(node.x, node.y, node.z)), 0);
+  return {
+    radius: Math.max(GALAXY_RADIUS, extent + EDGE_BUFFER),
+    order: ranked,
+    // The settled position first, then ever wider around it
+    propose: (i, attempt) => {
+      const node = nodes[slot.get(i)];
+      if (attempt === 0) return { ...node };
+      const offset = randomPointInSphere(MIN_DIST * (1 + attempt / 100), random);
+      return { x: node.x + offset.x, y: node.y + offset.y, z: node.z + offset.z };
+    }
+  };
+}
+
+export const LAYOUTS = {
+  sphere: sphereLayout,
+  spiral: spiralLayout,
+  disc: discLayout,
+  clusters: clustersLayout
+};
+
+// --- GALAXY LAYOUT ---
+// Every system ends up at least MIN_DIST from every other: crowded proposals are pushed outwards until clear
+export function computeSystemPositions(solarSystems, seed, { layout = 'sphere', edges }) {
+  const positions = new Array(solarSystems.length);
+  const layoutRandom = deriveRandom(seed, 'layout');
+  const grid = new SpatialGrid(MIN_DIST);
+  const ranked = [];
+  const unranked = [];
+  solarSystems.forEach((system, i) => (system.unranked ? unranked : ranked).push(i));
+
+  const place = (i, propose) => {
+    let pt = propose(i, 0);
+    for (let attempt = 1; attempt < MAX_TRIES && !grid.isClear(pt, MIN_DIST); attempt++) {
+      pt = propose(i, attempt);
+    }
+    const last = pt;
+    for (let ring = 1; !grid.isClear(pt, MIN_DIST); ring++) {
+      const offset = randomPointInSphere(MIN_DIST * (1 + ring / 10), layoutRandom);
+      pt = { x: last.x + offset.x, y: last.y + offset.y, z: last.z + offset.z };
+    }
+    grid.add(pt);
+    positions[i] = pt;
+  };
+
+  const strategy = LAYOUTS[layout] || sphereLayout;
+  const { radius, order, propose } = strategy(solarSystems, ranked, { random: layoutRandom, edges });
+  order.forEach(i => place(i, propose));
+
+  const clusterRadius = layoutRadius(unranked.length, SPHERE_SPACING, UNRANKED_CLUSTER_RADIUS);
+  const clusterZ = -(radius + clusterRadius);
+  unranked.forEach(i => place(i, () => {
+    const pt = randomPointInSphere(clusterRadius - EDGE_BUFFER, layoutRandom);
+    pt.z += clusterZ;
+    return pt;
+  }));
+  return positions;
+}
+
+// How far the ranked systems reach from the centre, for framing the galaxy in the viewer and minimap
+export function measureGalaxyRadius(solarSystems, positions) {
+  let reach = 0;
+  positions.forEach((pt, i) => {
+    if (!solarSystems[i].unranked) reach = Math.max(reach, Math.hypot(pt.x, pt.y, pt.z) + EDGE_BUFFER);
+  });
+  return Math.max(GALAXY_RADIUS, reach);
+}
@@ -0,0 +1,136 @@
+// nameLabels.js - Handles or names under the focused system's sun and planets, hiding whichever overlap
+import * as THREE from 'three';
+
+// Cycled with the L key
+export const LABEL_MODES = ['off', 'handle', 'name'];
+const BASE_FONT_PX = 13;
+// Labels keep full size up to NEAR from the camera and shrink to MIN_SCALE at FAR, beyond which they're hidden
+const NEAR = 300;
+const FAR = 2000;
+const MIN_SCALE = 0.7;
+const GAP_PX = 4;
+
+// Hidden objects and anything inside them (timeline fades hide meshes of members who weren't there yet)
+function isShown(obj) {
+  for (let o = obj; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+export class NameLabels {
+  constructor(camera) {
+    this.camera = camera;
+    this.mode = 'off';
+    this.labels = [];
+    this.position = new THREE.Vector3();
+    this.projected = new THREE.Vector3();
+
+    this.container = document.createElement('div');
+    this.container.style.position = 'fixed';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100vw';
+    this.container.style.height = '100vh';
+    this.container.style.pointerEvents = 'none';
+    this.container.style.overflow = 'hidden';
+    this.container.style.zIndex = '1000';
+    document.body.appendChild(this.container);
+  }
+
+  // radius: the body's sphere radius, so the label sits just below it.
+  // When labels collide the one with the higher priority (e.g. follower count) is kept
+  attach(mesh, radius, priority = 0) {
+    const el = document.createElement('div');
+    el.style.position = 'absolute';
+    el.style.left = '0';
+    el.style.top = '0';
+    el.style.whiteSpace = 'nowrap';
+    el.style.fontFamily = "'Inter', sans-serif";
+    el.style.fontSize = `${BASE_FONT_PX}px`;
+    el.style.color = '#fff';
+    el.style.textShadow = '0 1px 3px rgba(0,0,0,0.9)';
+    el.style.transformOrigin = 'top left';
+    el.style.display = 'none';
+    this.container.appendChild(el);
+    const label = { mesh, radius, priority, el, width: 0, height: 0, text: null };
+    const index = this.labels.findIndex(other => other.priority < priority);
+    this.labels.splice(index === -1 ? this.labels.length : index, 0, label);
+  }
+
+  textFor(user) {
+    return this.mode === 'name' && user.name ? user.name : `@${user.handle}`;
+  }
+
+  // Per frame: project each label, scale it by distance and drop the ones that would overlap a higher-priority one
+  update() {
+    if (this.mode === 'off' || !this.labels.length) return;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const pxPerUnit = height / (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)));
+    const placed = [];
+    this.labels.forEach(label => {
+      const { el, mesh } = label;
+      mesh.getWorldPosition(this.position);
+      const distance = this.position.distanceTo(this.camera.position);
+      this.projected.copy(this.position).project(this.camera);
+      if (distance > FAR || this.projected.z > 1 || !isShown(mesh)) {
+        el.style.display = 'none';
+        return;
+      }
+      const text = this.textFor(mesh.userData);
+      if (label.text !== text) {
+        el.textContent = text;
+        label.text = text;
+        label.width = 0;
+      }
+      if (el.style.display === 'none') el.style.display = 'block';
+      // Measured once per text at the base font size; scaling afterwards is arithmetic
+      if (!label.width) {
+        label.width = el.offsetWidth;
+        label.height = el.offsetHeight;
+      }
+      const scale = distance <= NEAR ? 1 : 1 - (1 - MIN_SCALE) * Math.min(1, (distance - NEAR) / (FAR - NEAR));
+      const x = (this.projected.x + 1) / 2 * width;
+      const y = (1 - this.projected.y) / 2 * height + (label.radius * pxPerUnit) / distance + GAP_PX;
+      const rect = {
+        left: x - (label.width * scale) / 2,
+        right: x + (label.width * scale) / 2,
+        top: y,
+        bottom: y + label.height * scale
+      };
+      const offscreen = rect.right < 0 || rect.left > width || rect.bottom < 0 || rect.top > height;
+      const overlaps = placed.some(other =>
+        rect.left < other.right + GAP_PX && rect.right + GAP_PX > other.left &&
+        rect.top < other.bottom && rect.bottom > other.top
+      );
+      if (offscreen || overlaps) {
+        el.style.display = 'none';
+        return;
+      }
+      placed.push(rect);
+      el.style.transform = `translate(${rect.left}px, ${rect.top}px) scale(${scale})`;
+    });
+  }
+
+  // Step to the next mode in LABEL_MODES and return it
+  cycle() {
+    this.mode = LABEL_MODES[(LABEL_MODES.indexOf(this.mode) + 1) % LABEL_MODES.length];
+    if (this.mode === 'off') this.labels.forEach(({ el }) => (el.style.display = 'none'));
+    return this.mode;
+  }
+
+  setMode(mode) {
+    this.mode = LABEL_MODES.includes(mode) ? mode : 'off';
+  }
+
+  clear() {
+    this.labels.forEach(({ el }) => el.remove());
+    this.labels = [];
+  }
+
+  destroy() {
+    this.clear();
+    this.container.remove();
+  }
+}
@@ -0,0 +1,144 @@
+// orbits.js - Keplerian orbits for planets and moons, with elements taken from each member's standing.
+// Bodies move on ellipses with their parent at one focus, positioned by time through Kepler's equation
+import * as THREE from 'three';
+import { deriveRandom } from './random.js';
+
+// Periods at the innermost orbit of each kind; wider orbits follow Kepler's third law (T² ∝ a³)
+const PLANET_BASE = { a: 80, period: 90 };
+const MOON_BASE = { a: 20, period: 12 };
+const MIN_ECCENTRICITY = 0.02;
+const MAX_ECCENTRICITY = 0.22;
+// Members who left the community drift onto stretched orbits
+const DEPARTED_ECCENTRICITY = 0.15;
+const MAX_PLANET_INCLINATION = THREE.MathUtils.degToRad(12);
+const MAX_MOON_INCLINATION = THREE.MathUtils.degToRad(40);
+// Joining this long after the body they orbit gives the steepest inclination
+const LATE_JOIN_MS = 365 * 24 * 60 * 60 * 1000;
+const UP = new THREE.Vector3(0, 1, 0);
+const NODE_AXIS = new THREE.Vector3(1, 0, 0);
+
+// 0..1: how close a body's follower count is to its parent's on a log scale, 0.5 when either is unknown
+function standing(user, parent) {
+  if (!(user.followers > 0) || !(parent.followers > 0)) return 0.5;
+  return Math.min(1, Math.log1p(user.followers) / Math.log1p(parent.followers));
+}
+
+// 0..1: how long after its parent the member was first seen in the community
+function lateness(user, parent) {
+  const joined = Date.parse(user.first_seen);
+  const parentJoined = Date.parse(parent.first_seen);
+  if (!isFinite(joined) || !isFinite(parentJoined)) return 0;
+  return Math.min(1, Math.max(0, (joined - parentJoined) / LATE_JOIN_MS));
+}
+
+// A heavier parent (more followers) pulls its bodies round faster
+function parentMass(parent) {
+  return 1 + Math.log10(1 + (parent.followers || 0)) / 3;
+}
+
+// Elements -> an orbit: a semi-major axis, e eccentricity, period in seconds, meanAnomaly at time 0,
+// and the orientation as p (towards periapsis) and q (90° ahead in the orbital plane)
+function createOrbit({ a, e, inclination, node, periapsis, period, meanAnomaly }) {
+  // Same sense as a rotation about +Y: counter-clockwise seen from above
+  const orientation = new THREE.Quaternion().setFromAxisAngle(UP, node)
+    .multiply(new THREE.Quaternion().setFromAxisAngle(NODE_AXIS, inclination))
+    .multiply(new THREE.Quaternion().setFromAxisAngle(UP, periapsis));
+  return {
+    a,
+    e,
+    inclination,
+    period,
+    meanAnomaly,
+    p: new THREE.Vector3(1, 0, 0).applyQuaternion(orientation),
+    q: new THREE.Vector3(0, 0, -1).applyQuaternion(orientation)
+  };
+}
+
+function bodyOrbit(user, parent, { a, speed, base, maxInclination, rankFraction, meanAnomaly, random }) {
+  let e = MIN_ECCENTRICITY + (MAX_ECCENTRICITY - MIN_ECCENTRICITY) * (1 - standing(user, parent));
+  if (user.departed) e += DEPARTED_ECCENTRICITY;
+  return {
+    a,
+    e,
+    inclination: maxInclination * (0.3 * rankFraction + 0.7 * lateness(user, parent)),
+    node: random() * Math.PI * 2,
+    periapsis: random() * Math.PI * 2,
+    period: base.period * Math.pow(a / base.a, 1.5) / Math.sqrt(parentMass(parent)) / speed,
+    meanAnomaly
+  };
+}
+
+// Orbits for one system as { planets: [orbit], moons: [[orbit]] }, matching system.planets and system.moons.
+// visuals are the system's encoded sizes, orbit radii and speeds. Deterministic for a seed, so the far-field
+// instances and the detailed system agree
+export function systemOrbits(system, visuals, seed, sysIdx) {
+  const { sun, planets, moons, planetAngles } = system;
+  const random = deriveRandom(seed, 'orbit-elements', sysIdx);
+  const planetOrbits = [];
+  const moonOrbits = [];
+  planets.forEach((u, i) => {
+    const planetOrbit = bodyOrbit(u, sun, {
+      a: visuals.planets[i].orbitRadius,
+      speed: visuals.planets[i].orbitSpeed,
+      base: PLANET_BASE,
+      maxInclination: MAX_PLANET_INCLINATION,
+      rankFraction: planets.length > 1 ? i / (planets.length - 1) : 0,
+      meanAnomaly: planetAngles[i],
+      random
+    });
+    planetOrbits.push(createOrbit(planetOrbit));
+    const size = visuals.planets[i].size;
+    const satellites = moons[i] || [];
+    moonOrbits.push(satellites.map((moon, j) => {
+      const visual = visuals.moons[i][j];
+      const moonOrbit = bodyOrbit(moon, u, {
+        // A little jitter so sibling moons don't share a radius
+        a: visual.orbitRadius + random() * 3,
+        speed: visual.orbitSpeed,
+        base: MOON_BASE,
+        maxInclination: MAX_MOON_INCLINATION,
+        rankFraction: satellites.length > 1 ? j / (satellites.length - 1) : 0,
+        meanAnomaly: (j / satellites.length) * Math.PI * 2,
+        random
+      });
+      // Keep periapsis clear of the planet's surface
+      const clearance = size + visual.size + 2;
+      moonOrbit.e = Math.max(0, Math.min(moonOrbit.e, 1 - clearance / moonOrbit.a));
+      return createOrbit(moonOrbit);
+    }));
+  });
+  return { planets: planetOrbits, moons: moonOrbits };
+}
+
+// Eccentric anomaly E for mean anomaly M: solves M = E - e·sin(E) by Newton's method
+export function solveKepler(M, e) {
+  let E = e < 0.8 ? M : Math.PI;
+  for (let i = 0; i < 8; i++) {
+    const step = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= step;
+    if (Math.abs(step) < 1e-8) break;
+  }
+  return E;
+}
+
+// Position relative to the parent at time seconds
+export function orbitPosition(orbit, time, target = new THREE.Vector3()) {
+  const { a, e, period, p, q } = orbit;
+  const M = (orbit.meanAnomaly + (2 * Math.PI * time) / period) % (2 * Math.PI);
+  const E = solveKepler(M, e);
+  const x = a * (Math.cos(E) - e);
+  const y = a * Math.sqrt(1 - e * e) * Math.sin(E);
+  return target.copy(p).multiplyScalar(x).addScaledVector(q, y);
+}
+
+// Points around the whole ellipse, for drawing the orbit
+export function orbitPath(orbit, segments = 128) {
+  const { a, e, p, q } = orbit;
+  const b = a * Math.sqrt(1 - e * e);
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const E = (i / segments) * Math.PI * 2;
+    points.push(p.clone().multiplyScalar(a * (Math.cos(E) - e)).addScaledVector(q, b * Math.sin(E)));
+  }
+  return points;
+}
@@ -0,0 +1,55 @@
+// picking.js - Bounding volume hierarchy over spheres, so picking among tens of thousands of far-field
+// bodies visits a few dozen boxes instead of every instance
+import * as THREE from 'three';
+
+const LEAF_SIZE = 8;
+const _point = new THREE.Vector3();
+
+function buildNode(items) {
+  const box = new THREE.Box3();
+  items.forEach(item => {
+    box.expandByPoint(_point.copy(item.center).addScalar(item.radius));
+    box.expandByPoint(_point.copy(item.center).subScalar(item.radius));
+  });
+  if (items.length <= LEAF_SIZE) return { box, items };
+  // Split at the median centre along the box's longest axis
+  const size = box.getSize(new THREE.Vector3());
+  const axis = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+  const sorted = items.slice().sort((a, b) => a.center[axis] - b.center[axis]);
+  const mid = sorted.length >> 1;
+  return { box, left: buildNode(sorted.slice(0, mid)), right: buildNode(sorted.slice(mid)) };
+}
+
+// items: [{ center: THREE.Vector3, radius, ... }]; anything else on an item is handed back by raycast
+export class SphereBVH {
+  constructor(items) {
+    this.root = items.length ? buildNode(items) : null;
+  }
+
+  // Nearest item the ray passes through as { item, distance }, or null.
+  // accept(item) can skip items that are currently hidden
+  raycast(ray, accept = () => true) {
+    if (!this.root) return null;
+    let best = null;
+    const stack = [this.root];
+    while (stack.length) {
+      const node = stack.pop();
+      // Boxes starting beyond the best hit so far can't hold a nearer one
+      const entry = ray.intersectBox(node.box, _point);
+      if (!entry) continue;
+      if (best && ray.origin.distanceTo(entry) > best.distance) continue;
+      if (node.items) {
+        node.items.forEach(item => {
+          if (!accept(item)) return;
+          const hit = ray.intersectSphere({ center: item.center, radius: item.radius }, _point);
+          if (!hit) return;
+          const distance = ray.origin.distanceTo(hit);
+          if (!best || distance < best.distance) best = { item, distance };
+        });
+      } else {
+        stack.push(node.left, node.right);
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,39 @@
+// random.js - Seeded pseudo-random helpers so the galaxy layout is reproducible across reloads
+
+// 32-bit FNV-1a hash of a string, used to turn seeds and datasets into PRNG state
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Mulberry32: small, fast PRNG returning floats in [0, 1) like Math.random()
+export function createRandom(seed) {
+  let a = (typeof seed === 'number' ? seed : hashString(String(seed))) >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Derive an independent stream from a base seed (e.g. one per solar system)
+export function deriveRandom(seed, ...keys) {
+  return createRandom(hashString([seed, ...keys].join(':')));
+}
+
+// Default seed for a dataset: a hash of its handles
+export function datasetSeed(users) {
+  return hashString(users.map(u => u.handle).join(',')).toString(36);
+}
+
+// Seed from the ?seed= URL parameter, falling back to the dataset seed
+export function resolveSeed(users) {
+  const param = new URLSearchParams(window.location.search).get('seed');
+  return param || datasetSeed(users);
+}
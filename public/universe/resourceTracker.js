@@ -0,0 +1,57 @@
+// resourceTracker.js - Collects the GPU resources a piece of the scene created so they can all be freed together
+import * as THREE from 'three';
+
+export class ResourceTracker {
+  // shared: textures and materials owned by someone else (loaded planet textures, shared glow sprites), never disposed here
+  constructor(shared = []) {
+    this.shared = new Set(shared.filter(Boolean));
+    this.resources = new Set();
+    this.objects = new Set();
+  }
+
+  // Track an Object3D with everything below it (geometries, materials, their textures, lights),
+  // or a single geometry, material or texture. Returns what it was given
+  track(resource) {
+    if (!resource || this.shared.has(resource)) return resource;
+    if (Array.isArray(resource)) {
+      resource.forEach(r => this.track(r));
+      return resource;
+    }
+    if (resource instanceof THREE.Object3D) {
+      this.objects.add(resource);
+      resource.traverse(obj => {
+        if (obj !== resource) this.objects.add(obj);
+        // Every Sprite shares one quad geometry inside three.js
+        if (obj.geometry && !obj.isSprite) this.track(obj.geometry);
+        if (obj.material) this.track(obj.material);
+        // Lights free their shadow maps
+        if (obj.isLight) this.resources.add(obj);
+      });
+      return resource;
+    }
+    if (resource instanceof THREE.Material) {
+      this.resources.add(resource);
+      // Textures can sit under any property name (map, emissiveMap, ...)
+      Object.values(resource).forEach(value => {
+        if (value instanceof THREE.Texture) this.track(value);
+      });
+      return resource;
+    }
+    if (resource.dispose) this.resources.add(resource);
+    return resource;
+  }
+
+  owns(object) {
+    return this.objects.has(object);
+  }
+
+  // Detach every tracked object from its parent and dispose every tracked resource
+  dispose() {
+    this.objects.forEach(obj => {
+      if (obj.parent) obj.parent.remove(obj);
+    });
+    this.resources.forEach(resource => resource.dispose());
+    this.objects.clear();
+    this.resources.clear();
+  }
+}
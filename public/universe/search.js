@@ -0,0 +1,87 @@
+// search.js - Search index over the users actually placed in the scene, with fuzzy ranking
+
+// Build one entry per placed user, tagged with its role and system
+export function buildSearchIndex(solarSystems) {
+  const entries = [];
+  const add = (user, role, systemIndex) => {
+    if (!user || !user.handle) return;
+    entries.push({
+      user,
+      role,
+      systemIndex,
+      handle: user.handle.toLowerCase(),
+      name: (user.name || '').toLowerCase(),
+      tokens: tokenize(`${user.handle} ${user.name || ''}`),
+      bio: (user.bio || '').toLowerCase()
+    });
+  };
+  solarSystems.forEach((system, systemIndex) => {
+    add(system.sun, 'sun', systemIndex);
+    system.planets.forEach((p, i) => {
+      add(p, 'planet', systemIndex);
+      system.moons[i].forEach(m => add(m, 'moon', systemIndex));
+    });
+    system.belt.forEach(a => add(a, 'asteroid', systemIndex));
+  });
+  return entries;
+}
+
+// Split handles and names into lowercase words: "marc_kohl" and "MarcKohl" both give marc, kohl
+function tokenize(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Levenshtein distance, giving up early once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Lower is better: 0 prefix, 1 token prefix, 2 substring, 3 + distance for typos, 10 bio-only
+function scoreEntry(entry, query, maxDistance, includeBio) {
+  if (entry.handle.startsWith(query) || entry.name.startsWith(query)) return 0;
+  if (entry.tokens.some(t => t.startsWith(query))) return 1;
+  if (entry.handle.includes(query) || entry.name.includes(query)) return 2;
+  // Compare against prefixes of about the query's length so partially typed handles still match
+  const candidates = [entry.handle, ...entry.tokens].flatMap(t => [
+    t.slice(0, query.length),
+    t.slice(0, query.length + 1)
+  ]);
+  const distance = Math.min(...candidates.map(c => editDistance(query, c, maxDistance)));
+  if (distance <= maxDistance) return 3 + distance;
+  if (includeBio && entry.bio.includes(query)) return 10;
+  return null;
+}
+
+// Rank entries for a query; follower count breaks ties within a tier
+export function searchIndex(entries, query, { limit = 4, includeBio = false } = {}) {
+  const q = query.trim().toLowerCase().replace(/^@/, '');
+  if (!q) return [];
+  const maxDistance = q.length < 4 ? 0 : Math.floor(q.length / 4);
+  const scored = [];
+  for (const entry of entries) {
+    const score = scoreEntry(entry, q, maxDistance, includeBio);
+    if (score !== null) scored.push({ entry, score });
+  }
+  scored.sort((a, b) =>
+    a.score - b.score ||
+    (b.entry.user.followers || 0) - (a.entry.user.followers || 0)
+  );
+  return scored.slice(0, limit).map(s => s.entry);
+}
@@ -0,0 +1,51 @@
+// simClock.js - One clock for everything that moves, so motion follows real seconds rather than frames
+import * as THREE from 'three';
+
+// Cycled with the T key; 0× freezes the orbits but leaves the camera free
+export const TIME_SCALES = [1, 10, 0];
+// A frame longer than this (a background tab, a breakpoint) counts as this long, so nothing jumps
+const MAX_DELTA = 0.1;
+
+export class SimulationClock {
+  constructor() {
+    this.clock = new THREE.Clock();
+    this.timeScale = 1;
+    this.paused = false;
+    this.elapsed = 0; // simulated seconds
+    this.delta = 0; // simulated seconds since the last tick
+    this.realDelta = 0; // wall-clock seconds since the last tick, for the intro and UI fades
+  }
+
+  // Once per frame, before anything reads delta or elapsed
+  tick() {
+    this.realDelta = Math.min(this.clock.getDelta(), MAX_DELTA);
+    this.delta = this.paused ? 0 : this.realDelta * this.timeScale;
+    this.elapsed += this.delta;
+    return this.delta;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  // Returns whether the clock is now paused
+  togglePause() {
+    this.paused = !this.paused;
+    return this.paused;
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  // Step to the next scale in TIME_SCALES and return it
+  cycleTimeScale() {
+    const index = TIME_SCALES.indexOf(this.timeScale);
+    this.setTimeScale(TIME_SCALES[(index + 1) % TIME_SCALES.length]);
+    return this.timeScale;
+  }
+}
@@ -0,0 +1,153 @@
+// simpleSystems.js - Every unfocused system's sun and planets as two InstancedMeshes, so the far field
+// costs two draw calls however many members there are
+import * as THREE from 'three';
+import { SphereBVH } from './picking.js';
+import { orbitPosition } from './orbits.js';
+
+// Unfocused systems are drawn faded and shrunk so the focused one stands out
+const FAR_OPACITY = 0.25;
+const FAR_SCALE = 0.7;
+// A distant system is mostly its glowing point in the points cloud, so its sun is pickable well beyond its sphere
+const STAR_PICK_RADIUS = 40;
+const COLORS = {
+  sun: new THREE.Color(0xffcc33),
+  unrankedSun: new THREE.Color(0x999988),
+  planet: new THREE.Color(0xaaaaff),
+  unrankedPlanet: new THREE.Color(0x777788)
+};
+
+export class SimpleSystems {
+  // positions[i] is the centre of solarSystems[i], visuals[i] its encoded look and orbits[i] its systemOrbits()
+  constructor(scene, solarSystems, positions, { visuals, orbits }) {
+    this.scene = scene;
+    this.hiddenSystems = new Set();
+    this.matrix = new THREE.Matrix4();
+    this.quaternion = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+
+    const sunInstances = [];
+    const planetInstances = [];
+    solarSystems.forEach((system, systemIndex) => {
+      const { sun, planets } = system;
+      const center = new THREE.Vector3(positions[systemIndex].x, positions[systemIndex].y, positions[systemIndex].z);
+      sunInstances.push({
+        user: { ...sun, isSun: true, systemIndex },
+        systemIndex,
+        position: center,
+        radius: visuals[systemIndex].sun.size,
+        color: system.unranked ? COLORS.unrankedSun : COLORS.sun
+      });
+      planets.forEach((u, i) => {
+        // Planets sit where the detailed system starts them on their orbit
+        const offset = orbitPosition(orbits[systemIndex].planets[i], 0);
+        planetInstances.push({
+          user: { ...u, isSun: false, systemIndex },
+          systemIndex,
+          index: i,
+          position: center.clone().add(offset),
+          radius: visuals[systemIndex].planets[i].size,
+          color: system.unranked ? COLORS.unrankedPlanet : COLORS.planet
+        });
+      });
+    });
+
+    // Low-poly spheres: from this far away they're a few pixels across
+    this.suns = this.createInstances(new THREE.SphereGeometry(1, 24, 16), sunInstances);
+    this.planets = this.createInstances(new THREE.IcosahedronGeometry(1, 1), planetInstances);
+    this.pickIndex = this.createPickIndex();
+  }
+
+  createPickIndex() {
+    const pickItems = [];
+    [this.suns, this.planets].forEach(mesh => {
+      mesh.userData.instances.forEach((instance, i) => {
+        const radius = instance.radius * FAR_SCALE;
+        pickItems.push({
+          center: instance.position,
+          radius: instance.user.isSun ? Math.max(radius, STAR_PICK_RADIUS) : radius,
+          instance,
+          factors: mesh.userData.factors,
+          i
+        });
+      });
+    });
+    return new SphereBVH(pickItems);
+  }
+
+  // Nearest visible instance under the ray as { user, distance, position }, or null
+  raycast(ray) {
+    const hit = this.pickIndex.raycast(ray, item =>
+      !this.hiddenSystems.has(item.instance.systemIndex) && item.factors[item.i] > 0
+    );
+    return hit ? { user: hit.item.instance.user, distance: hit.distance, position: hit.item.center } : null;
+  }
+
+  createInstances(geometry, instances) {
+    const material = new THREE.MeshBasicMaterial({ transparent: true, opacity: FAR_OPACITY, depthWrite: false });
+    const mesh = new THREE.InstancedMesh(geometry, material, Math.max(1, instances.length));
+    mesh.count = instances.length;
+    // Three 0.149 culls an InstancedMesh by its geometry's bounds at the origin, which would drop the whole galaxy
+    mesh.frustumCulled = false;
+    mesh.userData.instances = instances;
+    // Timeline growth and fading, multiplied into each instance's scale
+    mesh.userData.factors = new Float32Array(instances.length).fill(1);
+    instances.forEach((instance, i) => mesh.setColorAt(i, instance.color));
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    this.scene.add(mesh);
+    this.writeMatrices(mesh);
+    return mesh;
+  }
+
+  writeMatrices(mesh) {
+    const { instances, factors } = mesh.userData;
+    instances.forEach((instance, i) => {
+      const hidden = this.hiddenSystems.has(instance.systemIndex);
+      this.scale.setScalar(hidden ? 0 : instance.radius * FAR_SCALE * factors[i]);
+      this.matrix.compose(instance.position, this.quaternion, this.scale);
+      mesh.setMatrixAt(i, this.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // The focused system is drawn in detail instead, so its instances shrink to nothing
+  setSystemVisible(systemIndex, visible) {
+    if (visible === !this.hiddenSystems.has(systemIndex)) return;
+    if (visible) this.hiddenSystems.delete(systemIndex);
+    else this.hiddenSystems.add(systemIndex);
+    this.writeMatrices(this.suns);
+    this.writeMatrices(this.planets);
+  }
+
+  // Resize every instance to visuals[i] after the size scale changes; timeline factors are kept
+  setSizes(visuals) {
+    this.suns.userData.instances.forEach(instance => {
+      instance.radius = visuals[instance.systemIndex].sun.size;
+    });
+    this.planets.userData.instances.forEach(instance => {
+      instance.radius = visuals[instance.systemIndex].planets[instance.index].size;
+    });
+    this.writeMatrices(this.suns);
+    this.writeMatrices(this.planets);
+    this.pickIndex = this.createPickIndex();
+  }
+
+  // factorFor(user) -> scale multiplier for that user's instance (0 hides it)
+  setScaleFactors(factorFor) {
+    [this.suns, this.planets].forEach(mesh => {
+      const { instances, factors } = mesh.userData;
+      instances.forEach((instance, i) => {
+        factors[i] = factorFor(instance.user);
+      });
+      this.writeMatrices(mesh);
+    });
+  }
+
+  dispose() {
+    [this.suns, this.planets].forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+  }
+}
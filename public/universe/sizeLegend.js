@@ -0,0 +1,119 @@
+// sizeLegend.js - What body sizes mean: a few follower counts drawn at the size a planet with them gets,
+// and buttons to switch the scale between log, sqrt, rank and linear
+import { SIZE_SCALES } from './encoding.js';
+
+const SCALE_NAMES = { log: 'log', sqrt: 'square root', rank: 'rank percentile', linear: 'linear' };
+const MAX_SAMPLES = 5;
+// Legend circles are drawn this many pixels across per unit of planet radius
+const PX_PER_UNIT = 2.4;
+
+function formatCount(n) {
+  if (n >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(Math.round(n));
+}
+
+// Powers of ten inside [min, max], thinned to MAX_SAMPLES; the ends themselves when there are fewer than two
+function sampleCounts(min, max) {
+  const counts = [];
+  for (let p = Math.ceil(Math.log10(Math.max(1, min))); Math.pow(10, p) <= max; p++) counts.push(Math.pow(10, p));
+  if (counts.length < 2) return min === max ? [min] : [min, max];
+  const step = Math.ceil(counts.length / MAX_SAMPLES);
+  return counts.filter((_, i) => (counts.length - 1 - i) % step === 0);
+}
+
+export class SizeLegend {
+  // encoding: the galaxy's VisualEncoding; onSelect(scale) is called when another scale is picked
+  constructor(encoding, onSelect) {
+    this.encoding = encoding;
+    this.onSelect = onSelect;
+
+    this.container = document.createElement('div');
+    this.container.style.position = 'fixed';
+    this.container.style.right = '24px';
+    this.container.style.bottom = '24px';
+    this.container.style.padding = '10px 14px';
+    this.container.style.background = 'rgba(28,28,30,0.9)';
+    this.container.style.borderRadius = '14px';
+    this.container.style.backdropFilter = 'blur(6px)';
+    this.container.style.boxShadow = '0 4px 20px rgba(0,0,0,0.22)';
+    this.container.style.fontFamily = "'Inter', sans-serif";
+    this.container.style.fontSize = '12px';
+    this.container.style.color = '#fff';
+    this.container.style.zIndex = '2000';
+    this.container.style.opacity = '0';
+    this.container.style.transition = 'opacity 0.7s cubic-bezier(0.4,0,0.2,1)';
+    this.render();
+    document.body.appendChild(this.container);
+  }
+
+  render() {
+    const { scale, min, max } = this.encoding.sizeScale('planet');
+    const sized = this.encoding.sizeFor('planet', max) !== null;
+    this.container.replaceChildren();
+
+    const title = document.createElement('div');
+    title.style.marginBottom = '8px';
+    title.style.opacity = '0.85';
+    title.textContent = sized ? `Size: followers (${SCALE_NAMES[scale] || scale})` : 'Size: set by the encoding';
+    this.container.appendChild(title);
+
+    // Other scales only change follower-driven sizes, so there is nothing more to show without them
+    if (!sized) return;
+
+    const samples = document.createElement('div');
+    samples.style.display = 'flex';
+    samples.style.alignItems = 'flex-end';
+    samples.style.gap = '12px';
+    samples.style.marginBottom = '8px';
+    sampleCounts(min, max).forEach(count => {
+      const diameter = Math.max(2, 2 * this.encoding.sizeFor('planet', count) * PX_PER_UNIT);
+      const sample = document.createElement('div');
+      sample.style.display = 'flex';
+      sample.style.flexDirection = 'column';
+      sample.style.alignItems = 'center';
+      sample.style.gap = '4px';
+      const dot = document.createElement('div');
+      dot.style.width = `${diameter}px`;
+      dot.style.height = `${diameter}px`;
+      dot.style.borderRadius = '50%';
+      dot.style.background = '#aaaaff';
+      const label = document.createElement('span');
+      label.textContent = formatCount(count);
+      sample.appendChild(dot);
+      sample.appendChild(label);
+      samples.appendChild(sample);
+    });
+    this.container.appendChild(samples);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '4px';
+    SIZE_SCALES.forEach(option => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = option;
+      button.title = `Size by ${SCALE_NAMES[option]} of followers`;
+      button.style.padding = '2px 8px';
+      button.style.borderRadius = '8px';
+      button.style.border = '1px solid rgba(255,255,255,0.2)';
+      button.style.background = option === scale ? 'rgba(255,255,255,0.2)' : 'transparent';
+      button.style.color = '#fff';
+      button.style.font = 'inherit';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', () => {
+        if (option !== scale) this.onSelect(option);
+      });
+      buttons.appendChild(button);
+    });
+    this.container.appendChild(buttons);
+  }
+
+  show() {
+    this.container.style.opacity = '1';
+  }
+
+  destroy() {
+    this.container.remove();
+  }
+}
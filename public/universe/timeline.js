@@ -0,0 +1,139 @@
+// timeline.js - Replays a community's growth from history.json (written by npm run build-history)
+
+export const HISTORY_VERSION = 1;
+const SECONDS_PER_SNAPSHOT = 1.5;
+
+// history.json -> { dates, series: Map of lowercase handle -> followers per date (null while not a member) }
+// Returns null when there is nothing to replay
+export function parseHistory(data) {
+  if (!data || data.version !== HISTORY_VERSION || !Array.isArray(data.dates) || data.dates.length < 2) return null;
+  const series = new Map(Object.entries(data.series || {}).map(([handle, values]) => [handle.toLowerCase(), values]));
+  return { dates: data.dates, series };
+}
+
+// A user at fractional snapshot index t: presence goes 0 -> 1 while joining and 1 -> 0 while leaving.
+// Users the history doesn't know are treated as always there with their current follower count
+export function userStateAt(history, handle, t, currentFollowers) {
+  const values = history.series.get(handle.toLowerCase());
+  if (!values) return { presence: 1, followers: currentFollowers };
+  const i = Math.min(Math.floor(t), values.length - 1);
+  const frac = t - i;
+  const from = values[i];
+  const to = values[Math.min(i + 1, values.length - 1)];
+  if (from === null && to === null) return { presence: 0, followers: 0 };
+  if (from === null) return { presence: frac, followers: to, joining: true };
+  if (to === null) return { presence: 1 - frac, followers: from, leaving: true };
+  return { presence: 1, followers: from + (to - from) * frac };
+}
+
+// Play button, slider and date label along the bottom of the screen
+export class TimelineSlider {
+  constructor(dates, onChange) {
+    this.dates = dates;
+    this.onChange = onChange;
+    this.value = dates.length - 1;
+    this.frame = null;
+    this.lastTime = 0;
+    this.createSlider();
+  }
+
+  createSlider() {
+    this.container = document.createElement('div');
+    this.container.style.position = 'fixed';
+    this.container.style.bottom = '24px';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translateX(-50%)';
+    this.container.style.display = 'flex';
+    this.container.style.alignItems = 'center';
+    this.container.style.gap = '12px';
+    this.container.style.padding = '8px 16px';
+    this.container.style.background = 'rgba(28,28,30,0.9)';
+    this.container.style.borderRadius = '14px';
+    this.container.style.backdropFilter = 'blur(6px)';
+    this.container.style.boxShadow = '0 4px 20px rgba(0,0,0,0.22)';
+    this.container.style.fontFamily = "'Inter', sans-serif";
+    this.container.style.color = '#fff';
+    this.container.style.zIndex = '2000';
+    this.container.style.opacity = '0';
+    this.container.style.transition = 'opacity 0.7s cubic-bezier(0.4,0,0.2,1)';
+
+    this.playButton = document.createElement('button');
+    this.playButton.type = 'button';
+    this.playButton.style.width = '32px';
+    this.playButton.style.height = '32px';
+    this.playButton.style.borderRadius = '50%';
+    this.playButton.style.border = '1px solid rgba(255,255,255,0.2)';
+    this.playButton.style.background = 'transparent';
+    this.playButton.style.color = '#fff';
+    this.playButton.style.cursor = 'pointer';
+    this.playButton.addEventListener('click', () => (this.frame ? this.pause() : this.play()));
+
+    this.input = document.createElement('input');
+    this.input.type = 'range';
+    this.input.min = '0';
+    this.input.max = String(this.dates.length - 1);
+    this.input.step = '0.01';
+    this.input.style.width = '320px';
+    this.input.setAttribute('aria-label', 'Timeline');
+    this.input.addEventListener('input', () => {
+      this.pause();
+      this.setValue(parseFloat(this.input.value));
+    });
+
+    this.label = document.createElement('span');
+    this.label.style.fontSize = '14px';
+    this.label.style.minWidth = '90px';
+    this.label.style.textAlign = 'right';
+
+    this.container.appendChild(this.playButton);
+    this.container.appendChild(this.input);
+    this.container.appendChild(this.label);
+    document.body.appendChild(this.container);
+    this.updateControls();
+  }
+
+  updateControls() {
+    this.playButton.innerText = this.frame ? '❚❚' : '▶';
+    this.playButton.title = this.frame ? 'Pause' : 'Play the community\'s growth';
+    this.input.value = String(this.value);
+    this.label.innerText = this.dates[Math.round(this.value)];
+  }
+
+  setValue(value) {
+    this.value = Math.max(0, Math.min(this.dates.length - 1, value));
+    this.updateControls();
+    this.onChange(this.value);
+  }
+
+  // Animate from the current date (or the first one when already at the end) to the latest snapshot
+  play() {
+    if (this.value >= this.dates.length - 1) this.setValue(0);
+    this.lastTime = performance.now();
+    const step = now => {
+      this.setValue(this.value + (now - this.lastTime) / 1000 / SECONDS_PER_SNAPSHOT);
+      this.lastTime = now;
+      if (this.value >= this.dates.length - 1) {
+        this.pause();
+        return;
+      }
+      this.frame = requestAnimationFrame(step);
+    };
+    this.frame = requestAnimationFrame(step);
+    this.updateControls();
+  }
+
+  pause() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.updateControls();
+  }
+
+  show() {
+    this.container.style.opacity = '1';
+  }
+
+  destroy() {
+    this.pause();
+    this.container.remove();
+  }
+}
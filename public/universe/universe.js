@@ -8,6 +8,25 @@ import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
 import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
 import { Header } from './header.js';
+import { deriveRandom, resolveSeed } from './random.js';
+import { readUrlState, writeUrlState, writeGalaxyState, writeSearchParam } from './urlState.js';
+import { buildSearchIndex } from './search.js';
+import { buildSolarSystems, buildHandleIndex, hasFollowerCount, GROUPING_STRATEGIES } from './hierarchy.js';
+import { computeSystemPositions, measureGalaxyRadius, LAYOUTS } from './layout.js';
+import { unpackUniverse } from './builtUniverse.js';
+import { buildConnectionMap, ConnectionArcs } from './connections.js';
+import { loadCommunities, resolveCommunity, loadMemberships } from './communities.js';
+import { parseHistory, userStateAt, TimelineSlider } from './timeline.js';
+import { loadAvatarManifest, setAvatar } from './avatars.js';
+import { AvatarBadges } from './avatarBadges.js';
+import { NameLabels, LABEL_MODES } from './nameLabels.js';
+import { SimpleSystems } from './simpleSystems.js';
+import { systemOrbits, orbitPosition, orbitPath } from './orbits.js';
+import { loadEncoding, VisualEncoding } from './encoding.js';
+import { SizeLegend } from './sizeLegend.js';
+import { ResourceTracker } from './resourceTracker.js';
+import { DevOverlay, isDevBuild } from './devOverlay.js';
+import { SimulationClock } from './simClock.js';
 
 // Initialize texture loader
 const loader = new THREE.TextureLoader();
@@ -26,9 +45,63 @@ let introStarted = false;
 let musicFadedIn = false;
 let audio = null;
 let blurAmount = 8;
+const BLUR_RATE = 12; // blur pixels per second while the intro zooms in, and while it clears
 let minimapHoveredIndex = null;
 const minimapMouse = { x: 0, y: 0 };
 
+// Galaxies: one per community in communities.json, rebuilt in place when switching
+let communities = [];
+let memberships = new Map(); // lowercase handle -> community ids, filled in once every galaxy's users are fetched
+let loadedTextures = [];
+let header = null;
+let activeGalaxy = null;
+let switchingGalaxy = false;
+
+// Placement for users whose follower count is unknown, overridable with ?unranked=
+// 'belt': asteroids orbiting the ranked systems, 'cluster': dim systems of their own, 'hidden': not placed
+const UNRANKED_POLICIES = ['belt', 'cluster', 'hidden'];
+const DEFAULT_UNRANKED_POLICY = 'belt';
+
+function resolveUnrankedPolicy() {
+  const param = new URLSearchParams(window.location.search).get('unranked');
+  return UNRANKED_POLICIES.includes(param) ? param : DEFAULT_UNRANKED_POLICY;
+}
+
+// How ranked users are grouped into systems, overridable with ?grouping=
+// 'order': scrape order, 'tier': follower tier, 'topic': bio keywords, 'graph': mutual follows (needs edges.json)
+const DEFAULT_GROUPING = 'order';
+
+function resolveGrouping() {
+  const param = new URLSearchParams(window.location.search).get('grouping');
+  return param in GROUPING_STRATEGIES ? param : DEFAULT_GROUPING;
+}
+
+// Shape of the galaxy, overridable with ?layout=
+// 'sphere': uniform ball, 'spiral': logarithmic arms, 'disc': bulge of the biggest suns in a thin disc,
+// 'clusters': force-directed, systems linked by follows side by side (uses edges.json)
+const DEFAULT_LAYOUT = 'sphere';
+
+function resolveLayout() {
+  const param = new URLSearchParams(window.location.search).get('layout');
+  return param in LAYOUTS ? param : DEFAULT_LAYOUT;
+}
+
+// Profile pictures over the focused system's bodies: on with ?avatars=1, toggled with A
+function resolveAvatarBadges() {
+  const param = new URLSearchParams(window.location.search).get('avatars');
+  return param === '1' || param === 'on';
+}
+
+// Labels under the focused system's sun and planets: ?labels=handle|name, cycled with L
+function resolveLabelMode() {
+  const param = new URLSearchParams(window.location.search).get('labels');
+  return LABEL_MODES.includes(param) ? param : 'off';
+}
+
+function formatFollowers(followers) {
+  return typeof followers === 'number' ? followers : 'unknown';
+}
+
 // Enhanced error logging
 function logError(phase, error, data = {}) {
   try {
@@ -110,7 +183,14 @@ function showError(message) {
   }
 }
 
-// Global error handlers
+// Global error handlers, installed once rather than per galaxy so they never hold on to a destroyed renderer
+window.onerror = function(message, source, lineno, colno, error) {
+  // Skip error display on mobile
+  if (!isMobile) {
+    showError(message);
+  }
+};
+
 window.addEventListener('error', (event) => {
   try {
     // Skip error handling on mobile
@@ -359,19 +439,91 @@ texturePromises.forEach(promise => {
   });
 });
 
-// Wait for all textures to load before starting
-Promise.all([
-  fetch('/universe/universe.json')
+// Prefer the community's precomputed built file; layout overrides in the URL need the raw data instead
+function loadUniverse(community) {
+  const loadRaw = () => fetch(community.users)
     .then(res => {
       if (!res.ok) {
-        throw new Error(`Failed to load universe.json: ${res.status} ${res.statusText}`);
+        throw new Error(`Failed to load ${community.users}: ${res.status} ${res.statusText}`);
       }
       return res.json();
     })
-    .catch(e => trackError('universe.json loading', e)),
-  ...texturePromises
-])
-.then(([users, ...textures]) => {
+    .then(users => ({ users }));
+
+  const params = new URLSearchParams(window.location.search);
+  if (!community.built || ['seed', 'grouping', 'unranked', 'layout'].some(key => params.has(key))) return loadRaw();
+
+  return fetch(community.built)
+    .then(res => (res.ok ? res.json() : null))
+    .then(data => (data ? { built: unpackUniverse(data) } : null))
+    .catch(e => {
+      console.warn(`Ignoring ${community.built}:`, e);
+      return null;
+    })
+    .then(result => result || loadRaw());
+}
+
+// Users, edges, follower history and visual encoding for one community. Edges and history are optional:
+// without edges graph grouping falls back to scrape order, without history there is no timeline
+function loadGalaxyData(community) {
+  return Promise.all([
+    loadUniverse(community).catch(e => trackError('universe.json loading', e)),
+    community.edges
+      ? fetch(community.edges).then(res => (res.ok ? res.json() : [])).catch(() => [])
+      : [],
+    community.history
+      ? fetch(community.history).then(res => (res.ok ? res.json() : null)).then(parseHistory).catch(() => null)
+      : null,
+    loadEncoding(community)
+  ]).then(([universe, edges, history, encoding]) => ({ universe, edges, history, encoding }));
+}
+
+// Compute systems and positions in the browser from the raw scrape output
+// keepDeparted: place departed members too, so the timeline can fade them out
+function prepareUniverse(users, edges, keepDeparted = false) {
+  // Add validation for users array
+  if (!Array.isArray(users) || users.length === 0) {
+    trackError('user data validation', new Error('No users loaded or malformed data'));
+    return null;
+  }
+
+  // Split off users with 0 or null followers; they are placed by the unranked policy
+  // Members flagged as departed by an update scrape are left out unless there is a timeline to show them on
+  const validUsers = users.filter(user => user && user.handle && (keepDeparted || !user.departed));
+  const unrankedPolicy = resolveUnrankedPolicy();
+  const unrankedUsers = unrankedPolicy === 'hidden' ? [] : validUsers.filter(user => !hasFollowerCount(user));
+  const rankedUsers = validUsers.filter(hasFollowerCount);
+  if (rankedUsers.length === 0) {
+    trackError('user filtering', new Error('No valid users after filtering'));
+    return null;
+  }
+
+  // Seed for the galaxy layout: ?seed= URL parameter or a hash of the dataset
+  const seed = resolveSeed(validUsers);
+
+  // Every user gets a fixed place (sun, planet, moon or asteroid) before anything is rendered
+  const solarSystems = buildSolarSystems(rankedUsers, unrankedUsers, {
+    seed,
+    unrankedPolicy,
+    grouping: resolveGrouping(),
+    edges
+  });
+  const positions = computeSystemPositions(solarSystems, seed, { layout: resolveLayout(), edges });
+  return { solarSystems, positions, seed };
+}
+
+// Build a galaxy's scene, minimap, tooltip and listeners; destroy() tears all of it down again
+// skipIntro: fly straight to the main system (or the deep link) instead of the galaxy zoom
+function createGalaxy(universe, edges, textures, { community, history = null, encoding, skipIntro = false }) {
+  const cleanups = [];
+  let disposed = false;
+  // addEventListener that is undone by destroy()
+  function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+  minimapHoveredIndex = null;
+
   try {
     // Store loaded textures
     const [
@@ -411,27 +563,16 @@ Promise.all([
       }
     });
 
-    // Add validation for users array
-    if (!Array.isArray(users) || users.length === 0) {
-      trackError('user data validation', new Error('No users loaded or malformed data'));
-      return;
-    }
-
-    // Filter out users with 0 or null followers first
-    users = users.filter(user => user && typeof user.followers === 'number' && user.followers > 0);
-    if (users.length === 0) {
-      trackError('user filtering', new Error('No valid users after filtering'));
-      return;
-    }
-
-    const sorted = [...users].sort((a, b) => b.followers - a.followers);
-    const sun = sorted[0];
-    const maxFollowers = sun.followers;
-    const planetUsers = sorted.slice(1, 101);
-    const moonUsers = sorted.slice(11);
+    if (!Array.isArray(edges)) edges = [];
+    const prepared = universe && (universe.built || prepareUniverse(universe.users, edges, Boolean(history)));
+    if (!prepared) return null;
+    const { solarSystems, positions: solarSystemPositions, seed: galaxySeed } = prepared;
+    const handleIndex = buildHandleIndex(solarSystems);
 
-    // Store planet textures in an object for easy access
-    const planetTextures = {
+    // Textures by the names encodings use
+    const texturesByName = {
+      sun: sunTexture,
+      moon: moonTexture,
       mercury: mercuryTexture,
       mars: marsTexture,
       jupiter: jupiterTexture,
@@ -458,6 +599,7 @@ Promise.all([
     renderer.toneMappingExposure = isMobile ? 1.2 : 1.5; // Reduce exposure on mobile
     renderer.shadowMap.enabled = !isMobile; // Disable shadows on mobile
     document.body.appendChild(renderer.domElement);
+    const devOverlay = isDevBuild() ? new DevOverlay(renderer) : null;
 
     // Starfield background
     const stars = new THREE.Points(
@@ -553,23 +695,12 @@ Promise.all([
     // Create shared glow materials
     const sharedPlanetGlowMaterial = createGlowMaterial(0xffffff, 0.5);
     const sharedMoonGlowMaterial = createGlowMaterial(0xaaaaaa, 0.4);
-
-    const planetNames = ['mercury','mars','jupiter','saturn','uranus','neptune','ceres'];
+    const sharedLinkedGlowMaterial = createGlowMaterial(0xff6ec4, 6);
+    // Reused by every detailed system, so never disposed along with one
+    const sharedResources = [...textures, sharedPlanetGlowMaterial, sharedMoonGlowMaterial, sharedLinkedGlowMaterial];
 
     // --- SOLAR SYSTEMS DATA STRUCTURE ---
-    // Group users into solar systems of up to 10 users each
-    const systems = [];
-    for (let i = 0; i < users.length; i += 10) {
-      systems.push(users.slice(i, i + 10));
-    }
-    // For each system, the first user is the sun (most followers in that group)
-    const solarSystems = systems.map(systemUsers => {
-      const sorted = [...systemUsers].sort((a, b) => b.followers - a.followers);
-      const sun = sorted[0];
-      const planets = sorted.slice(1);
-      return { sun, planets };
-    });
-
+    // Systems come from universe.built.json or prepareUniverse; the first user of each is its sun
     let mainSystemIndex = 0;
     let maxFollowersMain = 0;
     solarSystems.forEach((sys, i) => {
@@ -579,36 +710,7 @@ Promise.all([
       }
     });
 
-    // --- GALAXY LAYOUT: RANDOM NON-OVERLAPPING SPHERE ---
-    function randomPointInSphere(radius) {
-      let u = Math.random();
-      let v = Math.random();
-      let theta = 2 * Math.PI * u;
-      let phi = Math.acos(2 * v - 1);
-      let r = Math.cbrt(Math.random()) * radius;
-      return {
-        x: r * Math.sin(phi) * Math.cos(theta),
-        y: r * Math.sin(phi) * Math.sin(theta),
-        z: r * Math.cos(phi)
-      };
-    }
-    function distance3D(a, b) {
-      return Math.sqrt((a.x-b.x)**2 + (a.y-b.y)**2 + (a.z-b.z)**2);
-    }
-    const galaxyRadius = 6000;
-    const minDist = 500;
-    const edgeBuffer = 300;
-    const solarSystemPositions = [];
-    for (let i = 0; i < solarSystems.length; i++) {
-      let pt, tries = 0;
-      do {
-        pt = randomPointInSphere(galaxyRadius - edgeBuffer);
-        tries++;
-      } while (
-        solarSystemPositions.some(p => distance3D(p, pt) < minDist) && tries < 1000
-      );
-      solarSystemPositions.push(pt);
-    }
+    const galaxyRadius = measureGalaxyRadius(solarSystems, solarSystemPositions);
 
     // --- CONSTELLATION MINIMAP GUI ---
     // Compute bounding box of all solar system positions in galaxy space
@@ -703,45 +805,14 @@ Promise.all([
     }
 
     // --- CREATE SIMPLE (FAKE) SOLAR SYSTEMS FOR LOD ---
-    const allMeshes = [];
-    const moonOrbitGroups = [];
-    const simpleSystemGroups = [];
-    solarSystems.forEach((system, sysIdx) => {
-      const { sun, planets } = system;
-      const systemGroup = new THREE.Object3D();
-      const sysPos = solarSystemPositions[sysIdx];
-      systemGroup.position.set(sysPos.x, sysPos.y, sysPos.z);
-      scene.add(systemGroup);
-      simpleSystemGroups.push(systemGroup);
-
-      // Sun (simple yellow sphere)
-      const sunMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(12, 32, 32),
-        new THREE.MeshBasicMaterial({ color: 0xffcc33 })
-      );
-      sunMesh.userData = { ...sun, isSun: true, systemIndex: sysIdx };
-      sunMesh.position.set(0, 0, 0);
-      systemGroup.add(sunMesh);
-      allMeshes.push(sunMesh);
-
-      // Planets (simple blue/gray spheres)
-      planets.forEach((u, i) => {
-        const orbitRadius = 80 + i * 60;
-        let size = 5 + 10 * ((u.followers || 1) / (sun.followers || 1));
-        size = !isFinite(size) || size <= 0 ? 2 : size;
-        const orbitGroup = new THREE.Object3D();
-        orbitGroup.rotation.y = Math.random() * Math.PI * 2;
-        systemGroup.add(orbitGroup);
-        const mesh = new THREE.Mesh(
-          new THREE.SphereGeometry(size, 16, 16),
-          new THREE.MeshBasicMaterial({ color: 0xaaaaff })
-        );
-        mesh.userData = { ...u, isSun: false, systemIndex: sysIdx };
-        mesh.position.set(orbitRadius, 0, 0);
-        orbitGroup.add(mesh);
-        allMeshes.push(mesh);
-      });
-    });
+    // Every body's size, texture, colour, glow and orbit, from the community's encoding spec
+    const visualEncoding = new VisualEncoding(encoding, solarSystems);
+    const visuals = solarSystems.map((_, i) => visualEncoding.system(i));
+    const orbits = solarSystems.map((system, i) => systemOrbits(system, visuals[i], galaxySeed, i));
+    const simpleSystems = new SimpleSystems(scene, solarSystems, solarSystemPositions, { visuals, orbits });
+    // Star sprites and minimap dots grow with their sun; a sun of this size gets the original fixed sizes
+    const REFERENCE_SUN_SIZE = 12;
+    const starScale = i => visuals[i].sun.size / REFERENCE_SUN_SIZE;
 
     // --- CREATE POINT CLOUD FOR NON-FOCUSED SYSTEMS ---
     let pointsCloud = null;
@@ -749,22 +820,28 @@ Promise.all([
       if (pointsCloud) {
         scene.remove(pointsCloud);
         pointsCloud.geometry.dispose();
+        pointsCloud.material.map.dispose();
         pointsCloud.material.dispose();
         pointsCloud = null;
       }
       const positions = [];
       const colors = [];
+      const scales = [];
       for (let i = 0; i < solarSystemPositions.length; i++) {
         if (i === excludeIdx) continue; // skip focused system
         const pos = solarSystemPositions[i];
         positions.push(pos.x, pos.y, pos.z);
-        // Color: yellow for main system, blue for others
-        const color = (i === mainSystemIndex) ? new THREE.Color(0xffcc33) : new THREE.Color(0xaaaaff);
+        scales.push(starScale(i));
+        // Color: yellow for main system, blue for others, grey for unranked
+        let color = new THREE.Color(0xaaaaff);
+        if (i === mainSystemIndex) color = new THREE.Color(0xffcc33);
+        else if (solarSystems[i].unranked) color = new THREE.Color(0x666677);
         colors.push(color.r, color.g, color.b);
       }
       const geometry = new THREE.BufferGeometry();
       geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
       geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+      geometry.setAttribute('pointScale', new THREE.Float32BufferAttribute(scales, 1));
       // Use a soft round sprite for points
       const sprite = document.createElement('canvas');
       sprite.width = sprite.height = 64;
@@ -785,6 +862,11 @@ Promise.all([
         sizeAttenuation: true,
         depthWrite: false
       });
+      // PointsMaterial has one size for every point; scale it per point by the sun it stands for
+      material.onBeforeCompile = shader => {
+        shader.vertexShader = 'attribute float pointScale;\n' + shader.vertexShader
+          .replace('gl_PointSize = size;', 'gl_PointSize = size * pointScale;');
+      };
       pointsCloud = new THREE.Points(geometry, material);
       pointsCloud.renderOrder = 1;
       scene.add(pointsCloud);
@@ -792,19 +874,29 @@ Promise.all([
 
     // --- DETAILED SYSTEM HANDLING ---
     let detailedSystemGroup = null;
+    let systemResources = null; // everything the detailed system created, freed when focus moves on
+    let timeline = null; // TimelineSlider when the community has a follower history
+    const avatarBadges = new AvatarBadges(camera);
+    avatarBadges.setEnabled(resolveAvatarBadges());
+    const nameLabels = new NameLabels(camera);
+    nameLabels.setMode(resolveLabelMode());
+    let detailedPickables = []; // the detailed system's user meshes, collected once per build for picking
     function removeDetailedSystem() {
-      if (detailedSystemGroup) {
-        scene.remove(detailedSystemGroup);
-        detailedSystemGroup = null;
+      avatarBadges.clear();
+      nameLabels.clear();
+      detailedPickables = [];
+      if (systemResources) {
+        if (lockedMesh && systemResources.owns(lockedMesh)) lockedMesh = null;
+        systemResources.dispose();
+        systemResources = null;
       }
+      detailedSystemGroup = null;
     }
-    // --- GLOBAL UNIQUE USER POOL ---
-    const usedHandlesGlobal = new Set();
     function createDetailedSystem(sysIdx) {
       removeDetailedSystem();
-      if (simpleSystemGroups[sysIdx]) simpleSystemGroups[sysIdx].visible = false;
+      simpleSystems.setSystemVisible(sysIdx, false);
       const system = solarSystems[sysIdx];
-      const { sun, planets } = system;
+      const { sun, planets, moons } = system;
       const sysPos = solarSystemPositions[sysIdx];
       if (!sun || !isFinite(sysPos.x) || !isFinite(sysPos.y) || !isFinite(sysPos.z)) {
         console.warn('Skipping system due to invalid data', { sun, sysPos, sysIdx });
@@ -814,52 +906,44 @@ Promise.all([
       systemGroup.position.set(sysPos.x, sysPos.y, sysPos.z);
       scene.add(systemGroup);
       detailedSystemGroup = systemGroup;
+      const orbiters = []; // { object, orbit }: placed by orbitPosition every frame
+      const spinners = []; // { object, speed }: turned about their own axis, radians per second
+      const look = visuals[sysIdx];
       const sunMaterial = new THREE.MeshStandardMaterial({
-        map: sunTexture,
-        emissive: new THREE.Color(0xffffaa),
-        emissiveIntensity: 2
+        map: texturesByName[look.sun.texture] || sunTexture,
+        emissive: look.sun.color,
+        emissiveIntensity: look.sun.glow
       });
-      const sunMesh = new THREE.Mesh(new THREE.SphereGeometry(12, 64, 64), sunMaterial);
+      const sunMesh = new THREE.Mesh(new THREE.SphereGeometry(look.sun.size, 64, 64), sunMaterial);
       sunMesh.userData = { ...sun, isSun: true, systemIndex: sysIdx };
       sunMesh.position.set(0, 0, 0);
       sunMesh.castShadow = true;
       sunMesh.receiveShadow = true;
       systemGroup.add(sunMesh);
+      addLinkedHalo(sunMesh, look.sun.size);
+      avatarBadges.attach(sunMesh, 'sun');
+      nameLabels.attach(sunMesh, look.sun.size, Infinity);
       const sunLight = new THREE.PointLight(0xffffff, 2, 800);
       sunLight.position.set(0, 0, 0);
       sunLight.castShadow = true;
       sunMesh.add(sunLight);
-      const planetOrbitGroups = [];
-      const maxFollowers = sun.followers > 0 ? sun.followers : 1;
-      // --- Unique moon user pool (global) ---
-      usedHandlesGlobal.add(sun.handle);
-      planets.forEach(p => usedHandlesGlobal.add(p.handle));
-      let globalUserIdx = 0;
+      const systemOrbit = orbits[sysIdx];
       planets.forEach((u, i) => {
         if (!u || !u.handle) return;
-        const orbitRadius = 80 + i * 60;
-        let size = 5 + 10 * ((u.followers || 1) / maxFollowers);
-        size = !isFinite(size) || size <= 0 ? 2 : size;
-        const speed = 0.005 * (1 / (size + 1));
-        const orbitGroup = new THREE.Object3D();
-        orbitGroup.rotation.y = Math.random() * Math.PI * 2;
-        systemGroup.add(orbitGroup);
-        planetOrbitGroups.push({ group: orbitGroup, speed });
-        const textureKey = planetNames[i % planetNames.length];
-        const texture = planetTextures[textureKey];
-        let metalness = 0.3, roughness = 0.8;
-        if (["mercury","mars","ceres"].includes(textureKey)) {
-          metalness = 0.2; roughness = 0.95;
-        } else {
-          metalness = 0.5; roughness = 0.6;
-        }
+        const planetLook = look.planets[i];
+        const size = planetLook.size;
+        // The anchor follows the orbit; the planet spins inside it and its moons orbit the anchor, not the spin
+        const anchor = new THREE.Object3D();
+        systemGroup.add(anchor);
+        orbiters.push({ object: anchor, orbit: systemOrbit.planets[i] });
+        const texture = texturesByName[planetLook.texture];
         let material;
         if (texture) {
           material = new THREE.MeshPhysicalMaterial({
             map: texture,
-            color: 0xffffff,
-            metalness,
-            roughness,
+            color: planetLook.color,
+            metalness: planetLook.metalness,
+            roughness: planetLook.roughness,
             clearcoat: 0.3,
             reflectivity: 0.1
           });
@@ -873,79 +957,123 @@ Promise.all([
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         mesh.userData = { ...u, isSun: false, systemIndex: sysIdx };
-        mesh.position.set(orbitRadius, 0, 0);
-        orbitGroup.add(mesh);
+        anchor.add(mesh);
+        spinners.push({ object: mesh, speed: 0.12 });
         const glow = new THREE.Sprite(sharedPlanetGlowMaterial);
-        glow.scale.set(size * 1.1, size * 1.1, 1);
+        glow.scale.set(size * planetLook.glow, size * planetLook.glow, 1);
         mesh.add(glow);
         glow.raycast = () => null;
-        // Add moons with Z elevation
-        const moonCount = Math.floor(Math.random() * 3) + 1;
-        for (let j = 0; j < moonCount; j++) {
-          const moonDist = 20 + j * 4 + Math.random() * 3;
-          let moonSize = size * 0.2;
-          moonSize = !isFinite(moonSize) || moonSize <= 0 ? 0.5 : moonSize;
-          const moonSpeed = 0.005 + 0.015 * (1 / moonSize);
-          const moonOrbitGroup = new THREE.Object3D();
-          moonOrbitGroup.rotation.x = Math.random() * Math.PI * 0.5;
-          moonOrbitGroup.rotation.y = Math.random() * Math.PI * 2;
-          moonOrbitGroup.rotation.z = Math.random() * Math.PI * 0.5;
-          mesh.add(moonOrbitGroup);
-          moonOrbitGroups.push({ group: moonOrbitGroup, speed: moonSpeed });
-          // --- Assign a unique user to each moon (global, must have fewer followers than planet) ---
-          let moonUser = null;
-          let foundMoonUser = false;
-          while (globalUserIdx < users.length) {
-            const candidate = users[globalUserIdx];
-            globalUserIdx++;
-            if (!usedHandlesGlobal.has(candidate.handle) && candidate.followers < u.followers) {
-              moonUser = candidate;
-              usedHandlesGlobal.add(moonUser.handle);
-              foundMoonUser = true;
-              break;
-            }
-          }
-          if (!foundMoonUser) break; // No valid moon user left for this planet
+        addLinkedHalo(mesh, size);
+        avatarBadges.attach(mesh, 'planet');
+        nameLabels.attach(mesh, size, u.followers || 0);
+        // Add moons with Z elevation (moon users come from the precomputed hierarchy)
+        moons[i].forEach((moonUser, j) => {
+          const moonLook = look.moons[i][j];
+          const moonSize = moonLook.size;
           const moonMesh = new THREE.Mesh(
             new THREE.SphereGeometry(moonSize, 16, 16),
             new THREE.MeshStandardMaterial({
-              map: moonTexture,
-              metalness: 0.1,
-              roughness: 0.9
+              map: texturesByName[moonLook.texture] || moonTexture,
+              color: moonLook.color,
+              metalness: moonLook.metalness,
+              roughness: moonLook.roughness
             })
           );
           moonMesh.castShadow = true;
           moonMesh.receiveShadow = true;
           moonMesh.userData = { ...moonUser, isSun: false, isMoon: true, systemIndex: sysIdx };
-          const elevationAngle = (j / moonCount) * Math.PI * 2;
-          let mx = moonDist * Math.cos(elevationAngle);
-          let my = moonDist * Math.sin(elevationAngle) * 0.3;
-          let mz = moonDist * Math.sin(elevationAngle);
-          mx = !isFinite(mx) ? 0 : mx;
-          my = !isFinite(my) ? 0 : my;
-          mz = !isFinite(mz) ? 0 : mz;
-          moonMesh.position.set(mx, my, mz);
-          moonOrbitGroup.add(moonMesh);
+          anchor.add(moonMesh);
+          orbiters.push({ object: moonMesh, orbit: systemOrbit.moons[i][j] });
           const moonGlow = new THREE.Sprite(sharedMoonGlowMaterial);
-          moonGlow.scale.set(moonSize * 1.1, moonSize * 1.1, 1);
+          moonGlow.scale.set(moonSize * moonLook.glow, moonSize * moonLook.glow, 1);
           moonMesh.add(moonGlow);
           moonGlow.raycast = () => null;
-        }
-        // 3. Add faint orbit rings for each planet
-        const ringGeom = new THREE.RingGeometry(orbitRadius - 0.5, orbitRadius + 0.5, 64);
-        ringGeom.rotateX(-Math.PI / 2);
-        const ringMat = new THREE.MeshBasicMaterial({ color: 0x444455, side: THREE.DoubleSide, transparent: true, opacity: 0.3 });
-        const orbitRing = new THREE.Mesh(ringGeom, ringMat);
+          addLinkedHalo(moonMesh, moonSize);
+          avatarBadges.attach(moonMesh, 'moon');
+        });
+        // 3. Add a faint ring along each planet's orbit
+        const ringGeom = new THREE.BufferGeometry().setFromPoints(orbitPath(systemOrbit.planets[i]));
+        const ringMat = new THREE.LineBasicMaterial({ color: 0x444455, transparent: true, opacity: 0.3 });
+        const orbitRing = new THREE.LineLoop(ringGeom, ringMat);
         systemGroup.add(orbitRing);
       });
-      systemGroup.userData.planetOrbitGroups = planetOrbitGroups;
+      // Asteroid belt of unranked users just beyond the outermost planet
+      if (system.belt.length) {
+        const beltRandom = deriveRandom(galaxySeed, 'belt', sysIdx);
+        const aphelia = systemOrbit.planets.map(({ a, e }) => a * (1 + e));
+        const beltRadius = Math.max(look.sun.size + 60, ...aphelia) + 40;
+        const beltGroup = new THREE.Object3D();
+        systemGroup.add(beltGroup);
+        spinners.push({ object: beltGroup, speed: 0.036 });
+        const asteroidGeometry = new THREE.DodecahedronGeometry(1, 0);
+        const asteroidMaterial = new THREE.MeshStandardMaterial({
+          map: moonTexture,
+          color: 0x888888,
+          metalness: 0,
+          roughness: 1
+        });
+        system.belt.forEach((u, k) => {
+          const angle = (k / system.belt.length) * Math.PI * 2 + beltRandom() * 0.2;
+          const r = beltRadius + (beltRandom() - 0.5) * 24;
+          const asteroid = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
+          asteroid.scale.setScalar(1.5 + beltRandom() * 1.5);
+          asteroid.rotation.set(beltRandom() * Math.PI, beltRandom() * Math.PI, 0);
+          asteroid.position.set(r * Math.cos(angle), (beltRandom() - 0.5) * 8, r * Math.sin(angle));
+          asteroid.userData = { ...u, isSun: false, isAsteroid: true, systemIndex: sysIdx };
+          beltGroup.add(asteroid);
+        });
+      }
+      // Orbits restart from where the far-field instances showed them
+      systemGroup.userData.epoch = simClock.elapsed;
+      systemGroup.userData.orbiters = orbiters;
+      systemGroup.userData.spinners = spinners;
+      orbiters.forEach(({ object, orbit }) => orbitPosition(orbit, 0, object.position));
+      systemResources = new ResourceTracker(sharedResources);
+      systemResources.track(systemGroup);
+      systemGroup.traverse(obj => {
+        if (obj.isMesh && obj.userData.handle) detailedPickables.push(obj);
+      });
       renderMinimap();
     }
     // When focus changes, restore the simple system group visibility
     function restoreSimpleSystem(sysIdx) {
-      if (simpleSystemGroups[sysIdx]) simpleSystemGroups[sysIdx].visible = true;
+      simpleSystems.setSystemVisible(sysIdx, true);
+    }
+    // When minimap or focus changes, swap the previous detailed system for the new one
+    function focusSystem(sysIdx) {
+      restoreSimpleSystem(focusedSystemIndex);
+      createPointsCloud(sysIdx);
+      createDetailedSystem(sysIdx);
+      focusedSystemIndex = sysIdx;
+      if (timeline) applyTimeline(timeline.value);
+      renderMinimap();
+    }
+    // Resize every body for another follower scale: far-field instances, star points, minimap dots and the
+    // focused system, which is rebuilt with its orbits carrying on from where they were
+    function setSizeScale(scale) {
+      visualEncoding.setSizeScale(scale);
+      solarSystems.forEach((system, i) => {
+        visuals[i] = visualEncoding.system(i);
+        // Moon orbits are kept clear of their planet's surface, which may have grown
+        orbits[i] = systemOrbits(system, visuals[i], galaxySeed, i);
+      });
+      simpleSystems.setSizes(visuals);
+      createPointsCloud(focusedSystemIndex);
+      if (detailedSystemGroup) {
+        const { epoch } = detailedSystemGroup.userData;
+        const lockedHandle = lockedMesh && systemResources.owns(lockedMesh) ? lockedMesh.userData.handle : null;
+        createDetailedSystem(focusedSystemIndex);
+        if (detailedSystemGroup) detailedSystemGroup.userData.epoch = epoch;
+        if (lockedHandle) lockedMesh = detailedPickables.find(mesh => mesh.userData.handle === lockedHandle) || null;
+        if (timeline) applyTimeline(timeline.value);
+      }
+      renderMinimap();
+      sizeLegend.render();
+    }
+    function findSystemIndexForHandle(handle) {
+      const entry = handleIndex.get(handle.toLowerCase());
+      return entry ? entry.systemIndex : -1;
     }
-    // When minimap or focus changes, call restoreSimpleSystem(previousIdx) and createDetailedSystem(newIdx)
 
     // --- MUSIC FADE-IN ON LOAD & START OVERLAY ---
     const audio = new Audio('/universe/music/1.mp3');
@@ -955,7 +1083,7 @@ Promise.all([
     document.body.appendChild(audio);
 
     // Add error handling for asset loading
-    window.addEventListener('error', function(event) {
+    listen(window, 'error', function(event) {
       try {
         // Skip error handling on mobile
         if (isMobile) {
@@ -1050,27 +1178,19 @@ Promise.all([
 
     // Add iOS-specific error handling
     if (isMobile) {
-      window.addEventListener('error', function(event) {
+      listen(window, 'error', function(event) {
         event.preventDefault();
         console.error('Runtime error (mobile):', event.error || event.message);
       }, true);
 
-      window.addEventListener('unhandledrejection', function(event) {
+      listen(window, 'unhandledrejection', function(event) {
         event.preventDefault();
         console.error('Promise rejection (mobile):', event.reason);
       }, true);
     }
 
-    // Add global error handler
-    window.onerror = function(message, source, lineno, colno, error) {
-      // Skip error display on mobile
-      if (!isMobile) {
-        showError(message);
-      }
-    };
-
     // Add mobile-specific error handling
-    window.addEventListener('error', function(event) {
+    listen(window, 'error', function(event) {
       if (isMobile) {
         console.error('Mobile error:', event.error || event.message);
         // Attempt to recover from error
@@ -1087,9 +1207,38 @@ Promise.all([
       }
     });
 
+    // --- DEEP LINKS: /?u=handle or #system=12&cam=x,y,z,tx,ty,tz ---
+    // Resolve a URL state to a user (if any) and the system to open
+    function resolveUrlTarget(state) {
+      const entry = state.user ? handleIndex.get(state.user.toLowerCase()) : null;
+      const user = entry ? entry.user : null;
+      let systemIndex = entry ? entry.systemIndex : -1;
+      if (systemIndex === -1 && state.system !== null && state.system < solarSystems.length) {
+        systemIndex = state.system;
+      }
+      return { user: systemIndex === -1 ? null : user, systemIndex };
+    }
+    const initialUrlState = readUrlState();
+    const initialUrlTarget = resolveUrlTarget(initialUrlState);
+    let currentLink = { user: null, system: null };
+    // Picking another size scale resizes the bodies in place, so the camera and focus stay where they are
+    const sizeLegend = new SizeLegend(visualEncoding, scale => {
+      writeSearchParam('scale', scale);
+      setSizeScale(scale);
+    });
+    function updateLink(link) {
+      currentLink = link;
+      writeUrlState(link);
+    }
+
     // --- INTRO ANIMATION: ZOOM ON GALAXY, THEN FOCUS ON MAIN SYSTEM ---
-    let introPhase = 0; // 0: pause, 1: galaxy zoom, 2: system focus, 3: done
-    let introProgress = 0;
+    // Deep links and galaxy switches skip the pause and galaxy zoom and fly straight to their target
+    let introPhase = skipIntro || initialUrlTarget.systemIndex !== -1 ? 2 : 0; // 0: pause, 1: galaxy zoom, 2: system focus, 3: done
+    let introProgress = 0; // seconds into the current phase
+    const INTRO_PAUSE_SECONDS = 1;
+    const INTRO_ZOOM_SECONDS = 3;
+    // Orbits run on simulated time (pausable, scalable); the intro and fades on wall-clock time
+    const simClock = new SimulationClock();
     let lockedMesh = null;
     const galaxyStart = { x: 0, y: galaxyRadius * 1.5, z: galaxyRadius * 2.2 };
     let focusAnim = null;
@@ -1153,13 +1302,28 @@ Promise.all([
     // Mouse event for raycasting
     const raycaster = new THREE.Raycaster();
     const mouse = new THREE.Vector2();
-    window.addEventListener('mousemove', event => {
+    let hoverDirty = false; // the mouse moved since the last hover pick
+    let lastHoverPick = 0;
+    listen(window, 'mousemove', event => {
       const rect = renderer.domElement.getBoundingClientRect();
       mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
       mouseEvent = event;
+      hoverDirty = true;
     });
 
+    // User under a point in normalized device coordinates: the focused system's meshes, then the far-field
+    // index of unfocused suns and planets, whichever is nearer. Returns { user, mesh, position } or null
+    function pickAt(ndc) {
+      raycaster.setFromCamera(ndc, camera);
+      const [near] = raycaster.intersectObjects(detailedPickables.filter(obj => obj.visible), false);
+      const far = simpleSystems.raycast(raycaster.ray);
+      if (near && (!far || near.distance <= far.distance)) {
+        return { user: near.object.userData, mesh: near.object, position: near.object.getWorldPosition(new THREE.Vector3()) };
+      }
+      return far ? { user: far.user, mesh: null, position: far.position.clone() } : null;
+    }
+
     // Add this function after camera/controls are defined
     function smoothFocusCamera(camera, controls, sunPos) {
       gsap.to(camera.position, {
@@ -1179,24 +1343,34 @@ Promise.all([
       });
     }
 
+    // Fly to an exact camera pose from a shared link
+    function flyCameraToPose(pose) {
+      gsap.to(camera.position, {
+        duration: 2,
+        ...pose.position,
+        ease: 'power2.inOut'
+      });
+      gsap.to(controls.target, {
+        duration: 2,
+        ...pose.target,
+        ease: 'power2.inOut',
+        onUpdate: () => controls.update()
+      });
+    }
+
     // Smoothly focus camera on a mesh
     function focusCameraOnMesh(mesh) {
       const pos = mesh.getWorldPosition(new THREE.Vector3());
       smoothFocusCamera(camera, controls, pos);
     }
 
-    // --- FIND ME GUI RESTORE & AUTOCOMPLETE ---
-    const header = new Header(users, (user) => {
-      focusOnUser(user);
-    });
+    // Search only offers users placed in this galaxy
+    header.setSearchEntries(buildSearchIndex(solarSystems).filter(entry => !entry.user.departed));
 
     // Function to focus camera on a specific user
     function focusOnUser(user) {
       // Find which system the user belongs to
-      const systemIndex = solarSystems.findIndex(system =>
-        system.sun.handle === user.handle ||
-        system.planets.some(p => p.handle === user.handle)
-      );
+      const systemIndex = findSystemIndexForHandle(user.handle);
 
       if (systemIndex === -1) {
         console.warn("User not found in any system:", user.handle);
@@ -1205,12 +1379,9 @@ Promise.all([
 
       // Only change if it's a different system
       if (systemIndex !== focusedSystemIndex) {
-        restoreSimpleSystem(focusedSystemIndex);
-        createPointsCloud(systemIndex);
-        createDetailedSystem(systemIndex);
-        focusedSystemIndex = systemIndex;
-        renderMinimap();
+        focusSystem(systemIndex);
       }
+      updateLink({ user: user.handle, system: systemIndex });
 
       // Find the user's mesh in the scene
       let targetMesh = null;
@@ -1225,6 +1396,7 @@ Promise.all([
         smoothFocusCamera(camera, controls, pos);
         showSystemName(user.name || user.handle);
       }
+      return targetMesh;
     }
 
     // --- MINIMAP: YAW+PITCH ROTATION (NO ROLL, STABLE) ---
@@ -1252,8 +1424,9 @@ Promise.all([
         const scale = 0.45 * minimapWidth / (galaxyRadius * 2);
         const x = minimapWidth / 2 + x2 * scale;
         const y = minimapHeight / 2 - y1 * scale;
+        const dotRadius = Math.min(10, Math.max(3, 6 * starScale(i)));
         minimapCtx.beginPath();
-        minimapCtx.arc(x, y, (i === focusedSystemIndex ? 10 : 6), 0, Math.PI * 2);
+        minimapCtx.arc(x, y, dotRadius + (i === focusedSystemIndex ? 4 : 0), 0, Math.PI * 2);
         minimapCtx.fillStyle = (i === focusedSystemIndex) ? '#ffcc33' : '#aaaaff';
         minimapCtx.globalAlpha = (i === focusedSystemIndex) ? 1 : 0.7;
         minimapCtx.fill();
@@ -1262,7 +1435,7 @@ Promise.all([
         if (i === minimapHoveredIndex) {
           minimapCtx.save();
           minimapCtx.beginPath();
-          minimapCtx.arc(x, y, (i === focusedSystemIndex ? 14 : 10), 0, Math.PI * 2);
+          minimapCtx.arc(x, y, dotRadius + (i === focusedSystemIndex ? 8 : 4), 0, Math.PI * 2);
           minimapCtx.strokeStyle = '#fff';
           minimapCtx.lineWidth = 3;
           minimapCtx.shadowColor = '#fff';
@@ -1273,6 +1446,88 @@ Promise.all([
       }
     }
 
+    // --- CONNECTION ARCS: hovered user -> their follows/mentions across systems ---
+    const connectionMap = buildConnectionMap(edges);
+    const connectionArcs = new ConnectionArcs(scene);
+    function showConnectionsFor(user, from) {
+      const connections = connectionMap.get(user.handle.toLowerCase()) || [];
+      const targets = [];
+      connections.forEach(({ handle, type }) => {
+        const entry = handleIndex.get(handle);
+        if (!entry) return;
+        let targetMesh = null;
+        if (entry.systemIndex === focusedSystemIndex && detailedSystemGroup) {
+          detailedSystemGroup.traverse(obj => {
+            if (obj.isMesh && obj.userData.handle && obj.userData.handle.toLowerCase() === handle) targetMesh = obj;
+          });
+        }
+        const pos = targetMesh
+          ? targetMesh.getWorldPosition(new THREE.Vector3())
+          : new THREE.Vector3().copy(solarSystemPositions[entry.systemIndex]);
+        targets.push({ position: pos, type });
+      });
+      connectionArcs.show(from, targets);
+    }
+    // Press C to toggle connection arcs
+    listen(window, 'keydown', (e) => {
+      if (e.key !== 'c' && e.key !== 'C') return;
+      if (e.target instanceof HTMLInputElement || e.metaKey || e.ctrlKey) return;
+      const enabled = connectionArcs.toggle();
+      showSystemName(enabled ? 'Connections on' : 'Connections off');
+    });
+    // Press A to toggle profile pictures over the focused system
+    listen(window, 'keydown', (e) => {
+      if (e.key !== 'a' && e.key !== 'A') return;
+      if (e.target instanceof HTMLInputElement || e.metaKey || e.ctrlKey) return;
+      const enabled = avatarBadges.toggle();
+      showSystemName(enabled ? 'Avatars on' : 'Avatars off');
+    });
+    // Press L to cycle name labels: off, handles, names
+    const LABEL_MODE_NAMES = { off: 'Labels off', handle: 'Labels: handles', name: 'Labels: names' };
+    listen(window, 'keydown', (e) => {
+      if (e.key !== 'l' && e.key !== 'L') return;
+      if (e.target instanceof HTMLInputElement || e.metaKey || e.ctrlKey) return;
+      showSystemName(LABEL_MODE_NAMES[nameLabels.cycle()]);
+    });
+    // Space pauses the orbits; T cycles their speed through 1×, 10× and 0×
+    listen(window, 'keydown', (e) => {
+      if (e.target instanceof HTMLInputElement || e.metaKey || e.ctrlKey) return;
+      if (e.key === ' ') {
+        if (e.target instanceof HTMLButtonElement) return; // Space still presses a focused button
+        e.preventDefault();
+        showSystemName(simClock.togglePause() ? 'Paused' : 'Resumed');
+      } else if (e.key === 't' || e.key === 'T') {
+        const scale = simClock.cycleTimeScale();
+        showSystemName(simClock.paused ? `Time ${scale}× (paused)` : `Time ${scale}×`);
+      }
+    });
+
+    // --- LINKED GALAXIES: members scraped in more than one community ---
+    function otherGalaxiesFor(handle) {
+      const ids = memberships.get(handle.toLowerCase()) || [];
+      return communities.filter(c => c.id !== community.id && ids.includes(c.id));
+    }
+    function otherGalaxiesNote(handle) {
+      const others = otherGalaxiesFor(handle);
+      if (!others.length) return '';
+      return `<br/><span style="color:#ff6ec4">Also in ${others.map(c => c.name || c.id).join(', ')} (press G)</span>`;
+    }
+    // Pink halo around linked users in the focused system
+    function addLinkedHalo(mesh, size) {
+      if (!otherGalaxiesFor(mesh.userData.handle).length) return;
+      const halo = new THREE.Sprite(sharedLinkedGlowMaterial);
+      halo.scale.set(size * 3, size * 3, 1);
+      halo.raycast = () => null;
+      mesh.add(halo);
+    }
+    // Press G while hovering a linked user to open them in their other galaxy
+    listen(window, 'keydown', (e) => {
+      if (e.key !== 'g' && e.key !== 'G') return;
+      if (e.target instanceof HTMLInputElement || e.metaKey || e.ctrlKey || !currentlyHoveredUser) return;
+      const [next] = otherGalaxiesFor(currentlyHoveredUser.handle);
+      if (next) switchGalaxy(next.id, currentlyHoveredUser.handle);
+    });
+
     // Track the currently hovered user for tooltip stability (3D and minimap)
     let currentlyHoveredUser = null;
     let currentlyHoveredMinimapIndex = null;
@@ -1310,8 +1565,8 @@ Promise.all([
         // Only update tooltip if hovered minimap index changes
         if (currentlyHoveredMinimapIndex !== closestIdx) {
           const sun = solarSystems[closestIdx].sun;
-          tooltipImage.src = `/pfp/${sun.handle}.jpg`;
-          tooltipText.innerHTML = `<strong>${sun.name || ''}</strong><br/>@${sun.handle}<br/>${sun.bio ? `<em>${sun.bio}</em><br/>` : ''}Followers: ${sun.followers || 0}`;
+          setAvatar(tooltipImage, sun.handle);
+          tooltipText.innerHTML = `<strong>${sun.name || ''}</strong><br/>@${sun.handle}<br/>${sun.bio ? `<em>${sun.bio}</em><br/>` : ''}Followers: ${formatFollowers(sun.followers)}${otherGalaxiesNote(sun.handle)}`;
           tooltip.style.left = `${e.clientX + 16}px`;
           tooltip.style.top = `${e.clientY - 8}px`;
           tooltip.style.zIndex = '3005';
@@ -1332,9 +1587,35 @@ Promise.all([
     });
 
     // --- 3D RAYCAST HOVER LOGIC (in animate loop) ---
+    const HOVER_PICK_MS = 50;
+    function updateHover() {
+      const hit = pickAt(mouse);
+      const x = mouseEvent ? mouseEvent.clientX : window.innerWidth / 2;
+      const y = mouseEvent ? mouseEvent.clientY : window.innerHeight / 2;
+      if (hit) {
+        const u = hit.user;
+        // Only update tooltip if hovered user changes
+        if (!currentlyHoveredUser || currentlyHoveredUser.handle !== u.handle) {
+          setAvatar(tooltipImage, u.handle);
+          tooltipText.innerHTML = `<strong>${u.name || ''}</strong><br/>@${u.handle}<br/><em>${u.bio || ''}</em><br/>Followers: ${formatFollowers(u.followers)}${u.departed ? '<br/><em>Left the community</em>' : ''}${otherGalaxiesNote(u.handle)}`;
+          showTooltip();
+          showConnectionsFor(u, hit.position);
+        }
+        tooltip.style.left = `${x + 12}px`;
+        tooltip.style.top = `${y + 12}px`;
+        currentlyHoveredUser = u;
+        currentlyHoveredMinimapIndex = null; // Clear minimap hover
+      } else if (currentlyHoveredUser) {
+        hideTooltip();
+        connectionArcs.clear();
+        currentlyHoveredUser = null;
+      }
+    }
     function safeAnimate() {
+      if (disposed) return;
       try {
         requestAnimationFrame(safeAnimate);
+        simClock.tick();
         
         // --- Intro Animation Sequence ---
         if (!introStarted) {
@@ -1343,6 +1624,7 @@ Promise.all([
             stars.position.copy(camera.position);
             setGalaxyBlur(blurAmount);
             composer.render();
+            if (devOverlay) devOverlay.update();
             return;
           } catch (e) {
             logError('intro_animation', e);
@@ -1355,16 +1637,16 @@ Promise.all([
           if (introPhase < 3) {
             if (introPhase === 0) {
               // Initial pause
-              introProgress += 1 / 60; // 1 second pause
-              if (introProgress >= 1) {
+              introProgress += simClock.realDelta;
+              if (introProgress >= INTRO_PAUSE_SECONDS) {
                 introProgress = 0;
                 introPhase = 1;
                 console.log('Starting galaxy zoom');
               }
             } else if (introPhase === 1) {
               // Zoom in on galaxy to main system
-              introProgress += 1 / 180; // 3 second zoom
-              const t = Math.min(introProgress, 1);
+              introProgress += simClock.realDelta;
+              const t = Math.min(introProgress / INTRO_ZOOM_SECONDS, 1);
               // Use easing function for smoother animation
               const ease = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
               
@@ -1386,13 +1668,14 @@ Promise.all([
             } else if (introPhase === 2) {
               try {
                 // Create detailed system and finish intro
-                createPointsCloud(mainSystemIndex); // Hide the focused system's point
-                createDetailedSystem(mainSystemIndex);
-                focusedSystemIndex = mainSystemIndex;
-                renderMinimap();
-                // Smoothly focus camera on the sun of the focused system
-                const sunPos = solarSystemPositions[mainSystemIndex];
-                smoothFocusCamera(camera, controls, sunPos);
+                if (initialUrlTarget.systemIndex !== -1) {
+                  applyUrlTarget(initialUrlTarget, initialUrlState.cam);
+                } else {
+                  focusSystem(mainSystemIndex); // Hides the focused system's point
+                  // Smoothly focus camera on the sun of the focused system
+                  const sunPos = solarSystemPositions[mainSystemIndex];
+                  smoothFocusCamera(camera, controls, sunPos);
+                }
                 introPhase = 3;
                 fadeInFindMe();
                 console.log('System creation complete, intro finished');
@@ -1412,21 +1695,16 @@ Promise.all([
           try {
             controls.update();
             
-            if (detailedSystemGroup && detailedSystemGroup.userData && detailedSystemGroup.userData.planetOrbitGroups) {
-              detailedSystemGroup.userData.planetOrbitGroups.forEach(({ group, speed }, idx) => {
-                // Easing: use a sine wave for speed variation
-                const t = performance.now() * 0.0001 + idx;
-                group.rotation.y += speed * (0.7 + 0.3 * Math.sin(t));
-                // Rotate planet mesh
-                group.children.forEach(child => {
-                  if (child.isMesh) child.rotation.y += 0.002 + 0.001 * Math.sin(t);
-                });
+            if (detailedSystemGroup) {
+              const { epoch, orbiters, spinners } = detailedSystemGroup.userData;
+              const time = simClock.elapsed - epoch;
+              orbiters.forEach(({ object, orbit }) => orbitPosition(orbit, time, object.position));
+              spinners.forEach(({ object, speed }) => {
+                object.rotation.y += speed * simClock.delta;
               });
             }
-            
-            moonOrbitGroups.forEach(({ group, speed }) => {
-              group.rotation.y += speed;
-            });
+            avatarBadges.update();
+            nameLabels.update();
 
             // Keep locked entity at center if set
             if (lockedMesh) {
@@ -1437,44 +1715,12 @@ Promise.all([
             
             if (focusAnim) focusAnim();
 
-            // Update raycasting and tooltips
-            raycaster.setFromCamera(mouse, camera);
-            // Only check detailed system meshes for hover
-            let intersectMeshes = [];
-            if (detailedSystemGroup) {
-              detailedSystemGroup.traverse(obj => {
-                if (obj.isMesh && obj.userData && obj.userData.handle) {
-                  intersectMeshes.push(obj);
-                }
-              });
-            }
-            const intersects = raycaster.intersectObjects(intersectMeshes, true);
-            const first = intersects.find(i => i.object.userData && i.object.userData.handle);
-            if (first) {
-              const u = first.object.userData;
-              // Only update tooltip if hovered user changes
-              if (!currentlyHoveredUser || currentlyHoveredUser.handle !== u.handle) {
-                tooltipImage.src = `/pfp/${u.handle}.jpg`;
-                tooltipText.innerHTML = `<strong>${u.name || ''}</strong><br/>@${u.handle}<br/><em>${u.bio || ''}</em><br/>Followers: ${u.followers || 0}`;
-                const x = mouseEvent ? mouseEvent.clientX : window.innerWidth / 2;
-                const y = mouseEvent ? mouseEvent.clientY : window.innerHeight / 2;
-                tooltip.style.left = `${x + 12}px`;
-                tooltip.style.top = `${y + 12}px`;
-                showTooltip();
-              } else {
-                // Update position if still hovering same
-                const x = mouseEvent ? mouseEvent.clientX : window.innerWidth / 2;
-                const y = mouseEvent ? mouseEvent.clientY : window.innerHeight / 2;
-                tooltip.style.left = `${x + 12}px`;
-                tooltip.style.top = `${y + 12}px`;
-              }
-              currentlyHoveredUser = u;
-              currentlyHoveredMinimapIndex = null; // Clear minimap hover
-            } else {
-              if (currentlyHoveredUser) {
-                hideTooltip();
-                currentlyHoveredUser = null;
-              }
+            // Hover picking runs only after the mouse moves, and at most every HOVER_PICK_MS
+            const now = performance.now();
+            if (hoverDirty && now - lastHoverPick >= HOVER_PICK_MS) {
+              hoverDirty = false;
+              lastHoverPick = now;
+              updateHover();
             }
 
             // Make the starfield always surround the camera
@@ -1485,13 +1731,16 @@ Promise.all([
 
             // Blur galaxy background during focus zoom
             if (introPhase === 1 || introPhase === 2) { 
-              blurAmount = Math.min(8, blurAmount + 0.2); 
+              blurAmount = Math.min(8, blurAmount + BLUR_RATE * simClock.realDelta); 
             } else { 
-              blurAmount = Math.max(0, blurAmount - 0.2); 
+              blurAmount = Math.max(0, blurAmount - BLUR_RATE * simClock.realDelta); 
             }
             setGalaxyBlur(blurAmount);
 
             composer.render();
+            if (devOverlay) {
+              devOverlay.update({ orbiters: detailedSystemGroup ? detailedSystemGroup.userData.orbiters.length : 0 });
+            }
           } catch (e) {
             logError('animation_update', e);
           }
@@ -1503,10 +1752,7 @@ Promise.all([
       }
     }
 
-    // Replace the original animate() call with safeAnimate()
-    safeAnimate();
-
-    window.addEventListener('resize', () => {
+    listen(window, 'resize', () => {
       camera.aspect = window.innerWidth / window.innerHeight;
       camera.updateProjectionMatrix();
       renderer.setSize(window.innerWidth, window.innerHeight);
@@ -1519,12 +1765,12 @@ Promise.all([
       const rect = renderer.domElement.getBoundingClientRect();
       const mouseX = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       const mouseY = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-      const mouseVec = new THREE.Vector2(mouseX, mouseY);
-      raycaster.setFromCamera(mouseVec, camera);
-      const intersects = raycaster.intersectObjects(scene.children, true);
-      const first = intersects.find(i => i.object.userData && i.object.userData.handle);
-      if (first) {
-        const mesh = first.object;
+      const hit = pickAt(new THREE.Vector2(mouseX, mouseY));
+      if (hit && !hit.mesh) {
+        // A far-field body: build its system and lock onto the user's detailed mesh
+        lockedMesh = focusOnUser(hit.user) || null;
+      } else if (hit) {
+        const mesh = hit.mesh;
         focusCameraOnMesh(mesh);
         lockedMesh = mesh;
         // Assuming resetButton is defined elsewhere or remove this line if not
@@ -1535,10 +1781,8 @@ Promise.all([
     // 1. Add minimap click handler
     minimapCanvas.addEventListener('click', () => {
       if (minimapHoveredIndex !== null) {
-        restoreSimpleSystem(focusedSystemIndex);
-        createPointsCloud(minimapHoveredIndex);
-        createDetailedSystem(minimapHoveredIndex);
-        focusedSystemIndex = minimapHoveredIndex;
+        focusSystem(minimapHoveredIndex);
+        updateLink({ user: null, system: minimapHoveredIndex });
         const sunPos = solarSystemPositions[minimapHoveredIndex];
         smoothFocusCamera(camera, controls, sunPos);
         if (solarSystems[focusedSystemIndex] && solarSystems[focusedSystemIndex].sun) {
@@ -1549,6 +1793,37 @@ Promise.all([
       }
     });
 
+    // Open a resolved deep link: build its system, then fly to the camera pose, user or sun
+    function applyUrlTarget({ user, systemIndex }, cam) {
+      if (systemIndex !== focusedSystemIndex) {
+        focusSystem(systemIndex);
+      }
+      if (cam) {
+        flyCameraToPose(cam);
+        updateLink({ user: user ? user.handle : null, system: systemIndex });
+        writeUrlState({ ...currentLink, cam });
+      } else if (user) {
+        focusOnUser(user);
+      } else {
+        smoothFocusCamera(camera, controls, solarSystemPositions[systemIndex]);
+        updateLink({ user: null, system: systemIndex });
+      }
+    }
+
+    // Keep the camera pose in the link once the user stops orbiting or zooming
+    controls.addEventListener('end', () => {
+      if (introPhase < 3) return;
+      writeUrlState({ ...currentLink, cam: { position: camera.position, target: controls.target } });
+    });
+
+    // Follow links pasted into the address bar of an already open universe
+    listen(window, 'hashchange', () => {
+      if (introPhase < 3) return;
+      const state = readUrlState();
+      const target = resolveUrlTarget(state);
+      if (target.systemIndex !== -1) applyUrlTarget(target, state.cam);
+    });
+
     // 2. Set Inter font globally
     document.body.style.fontFamily = "'Inter', sans-serif";
     tooltip.style.fontFamily = "'Inter', sans-serif";
@@ -1579,6 +1854,8 @@ Promise.all([
     // 4. Fade in Find Me UI after intro zoom
     function fadeInFindMe() {
       header.show();
+      if (timeline) timeline.show();
+      sizeLegend.show();
     }
 
     // 5. Standardize border radii and box shadows
@@ -1600,25 +1877,7 @@ Promise.all([
     minimapContainer.style.gap = '4px';
     minimapContainer.style.alignItems = 'center';
 
-    // 7. Fade/shrink non-focused systems
-    simpleSystemGroups.forEach((group, idx) => {
-      if (idx !== focusedSystemIndex) {
-        group.traverse(obj => {
-          if (obj.material && obj.material.opacity !== undefined) {
-            obj.material.transparent = true;
-            obj.material.opacity = 0.25;
-            obj.scale.set(0.7, 0.7, 0.7);
-          }
-        });
-      } else {
-        group.traverse(obj => {
-          if (obj.material && obj.material.opacity !== undefined) {
-            obj.material.opacity = 1;
-            obj.scale.set(1, 1, 1);
-          }
-        });
-      }
-    });
+    // 7. Non-focused systems are drawn faded and shrunk by SimpleSystems
 
     // 8. Blur galaxy background during focus zoom
     function setGalaxyBlur(amount) {
@@ -1694,13 +1953,137 @@ Promise.all([
         showSystemName(solarSystems[mainSystemIndex].sun.name || 'Unnamed System');
     }
 
+    // --- TIMELINE: replay follower history between snapshots ---
+    // New members ignite (swell in from nothing), counts scale planets, departed members fade out
+    const timelineBase = new WeakMap(); // mesh -> scale and opacity as built, before any timeline change
+    // Size multiplier for a user's follower count at that point, swelling in while they join
+    function timelineScale(u, state) {
+      const growth = u.followers > 0 && state.followers > 0
+        ? Math.min(2, Math.max(0.3, Math.sqrt(state.followers / u.followers)))
+        : 1;
+      const ignite = state.joining ? state.presence * (1 + 0.6 * Math.sin(Math.PI * state.presence)) : 1;
+      return growth * ignite;
+    }
+    function applyTimelineTo(mesh, t) {
+      const u = mesh.userData;
+      if (!timelineBase.has(mesh)) {
+        timelineBase.set(mesh, { scale: mesh.scale.x, opacity: mesh.material.opacity, transparent: mesh.material.transparent });
+      }
+      const base = timelineBase.get(mesh);
+      const state = userStateAt(history, u.handle, t, u.followers);
+      mesh.visible = state.presence > 0.01;
+      mesh.scale.setScalar(base.scale * timelineScale(u, state));
+      // Asteroids share one material, so they only shrink away
+      if (!u.isAsteroid) {
+        mesh.material.transparent = base.transparent || state.leaving === true;
+        mesh.material.opacity = base.opacity * (state.leaving ? state.presence : 1);
+      }
+    }
+    function applyTimeline(t) {
+      if (detailedSystemGroup) {
+        detailedSystemGroup.traverse(obj => {
+          if (obj.isMesh && obj.userData.handle) applyTimelineTo(obj, t);
+        });
+      }
+      // Instances share one material, so departing members shrink away instead of fading
+      simpleSystems.setScaleFactors(u => {
+        const state = userStateAt(history, u.handle, t, u.followers);
+        if (state.presence <= 0.01) return 0;
+        return timelineScale(u, state) * (state.leaving ? state.presence : 1);
+      });
+    }
+    // Created last so the detailed system's base scale and opacity are recorded as built, but before the render loop
+    // starts: a galaxy switch finishes the intro on its first frame, and fadeInFindMe only shows a slider that exists
+    if (history) {
+      timeline = new TimelineSlider(history.dates, applyTimeline);
+      applyTimeline(timeline.value);
+      if (introPhase === 3) timeline.show();
+    }
+
+    // Stop the loop, drop listeners and DOM, and free GPU memory; shared planet textures are kept
+    function destroy() {
+      disposed = true;
+      cleanups.forEach(cleanup => cleanup());
+      if (timeline) timeline.destroy();
+      gsap.killTweensOf([camera.position, controls.target, tooltip]);
+      connectionArcs.clear();
+      removeDetailedSystem();
+      simpleSystems.dispose();
+      nameLabels.destroy();
+      if (devOverlay) devOverlay.destroy();
+      sizeLegend.destroy();
+      scene.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+          [].concat(obj.material).forEach(material => {
+            if (material.map && !textures.includes(material.map)) material.map.dispose();
+            material.dispose();
+          });
+        }
+      });
+      controls.dispose();
+      composer.dispose();
+      renderer.dispose();
+      renderer.forceContextLoss();
+      renderer.domElement.remove();
+      minimapContainer.remove();
+      tooltip.remove();
+      audio.remove();
+    }
+
+    // Started last: the first frame runs synchronously and, on a galaxy switch, goes straight to focusing a system,
+    // so everything the loop reaches has to be initialised by now
+    safeAnimate();
+
+    return { focusOnUser, destroy };
   } catch (error) {
     trackError('initialization', error);
+    return null;
   }
-})
-.catch(error => {
-  trackError('promise chain', error);
-});
+}
+
+// Replace the current galaxy with another community's, optionally flying to one of its users
+function switchGalaxy(id, handle = null) {
+  const community = communities.find(c => c.id === id);
+  if (!community || switchingGalaxy) return;
+  switchingGalaxy = true;
+  writeGalaxyState(community.id, handle);
+  header.setActiveGalaxy(community.id);
+  loadGalaxyData(community)
+    .then(({ universe, edges, history, encoding }) => {
+      if (activeGalaxy) activeGalaxy.destroy();
+      activeGalaxy = createGalaxy(universe, edges, loadedTextures, { community, history, encoding, skipIntro: true });
+    })
+    .catch(error => trackError('galaxy switch', error))
+    .finally(() => {
+      switchingGalaxy = false;
+    });
+}
+
+// Wait for all textures to load before starting
+loadCommunities()
+  .then(list => {
+    communities = list;
+    const community = resolveCommunity(communities, readUrlState().galaxy);
+    return Promise.all([loadGalaxyData(community), loadAvatarManifest(), ...texturePromises]).then(([{ universe, edges, history, encoding }, , ...textures]) => {
+      loadedTextures = textures;
+      // --- FIND ME GUI RESTORE & AUTOCOMPLETE ---
+      header = new Header([], user => {
+        if (activeGalaxy) activeGalaxy.focusOnUser(user);
+      });
+      header.setGalaxies(communities, community.id, switchGalaxy);
+      activeGalaxy = createGalaxy(universe, edges, textures, { community, history, encoding });
+      // Only needed to link members across galaxies
+      if (communities.length > 1) {
+        loadMemberships(communities).then(map => {
+          memberships = map;
+        });
+      }
+    });
+  })
+  .catch(error => {
+    trackError('promise chain', error);
+  });
 
 // Mobile optimization function
 function optimizeForMobile() {
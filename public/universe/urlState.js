@@ -0,0 +1,57 @@
+// urlState.js - Read and write shareable deep links: /?galaxy=id&u=handle#system=12&cam=x,y,z,tx,ty,tz
+
+function parseCameraPose(value) {
+  if (!value) return null;
+  const n = value.split(',').map(Number);
+  if (n.length !== 6 || n.some(v => !isFinite(v))) return null;
+  return {
+    position: { x: n[0], y: n[1], z: n[2] },
+    target: { x: n[3], y: n[4], z: n[5] }
+  };
+}
+
+function formatCameraPose({ position, target }) {
+  return [position.x, position.y, position.z, target.x, target.y, target.z]
+    .map(v => Math.round(v))
+    .join(',');
+}
+
+// Returns { galaxy, user, system, cam } with null for anything missing or malformed
+export function readUrlState() {
+  const search = new URLSearchParams(window.location.search);
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  const user = (search.get('u') || hash.get('u') || '').replace(/^@/, '') || null;
+  const systemParam = hash.get('system');
+  const system = systemParam !== null && /^\d+$/.test(systemParam) ? parseInt(systemParam, 10) : null;
+  const cam = parseCameraPose(hash.get('cam'));
+  return { galaxy: search.get('galaxy'), user, system, cam };
+}
+
+// Replace (not push) the current URL so focusing around doesn't flood the history
+export function writeUrlState({ user = null, system = null, cam = null } = {}) {
+  const url = new URL(window.location.href);
+  if (user) url.searchParams.set('u', user);
+  else url.searchParams.delete('u');
+  const hashParts = [];
+  if (system !== null) hashParts.push(`system=${system}`);
+  if (cam) hashParts.push(`cam=${formatCameraPose(cam)}`);
+  url.hash = hashParts.join('&');
+  history.replaceState(null, '', url);
+}
+
+// Switching galaxies drops the system and camera of the old one; user is kept only when jumping to them
+export function writeGalaxyState(galaxy, user = null) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('galaxy', galaxy);
+  if (user) url.searchParams.set('u', user);
+  else url.searchParams.delete('u');
+  url.hash = '';
+  history.replaceState(null, '', url);
+}
+
+// Set a view option such as ?scale= that is read again when the galaxy is rebuilt
+export function writeSearchParam(name, value) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(name, value);
+  history.replaceState(null, '', url);
+}
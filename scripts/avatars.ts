@@ -0,0 +1,135 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import type { AvatarEntry, AvatarManifest } from './types.js';
+
+// Tooltip and search results use 48px, avatar planets the larger sizes
+export const AVATAR_SIZES = [48, 128, 256];
+const MAX_BYTES = 5 * 1024 * 1024;
+const FILE_PATTERN = /^[0-9a-f]{16}-\d+\.(webp|jpg)$/;
+
+// X's avatar URLs end in _normal (48px), _bigger, _mini or _200x200; _400x400 is the largest square variant
+export const highResAvatarUrl = (url: string) => url.replace(/_(normal|bigger|mini|200x200)(\.\w+)?$/, '_400x400$2');
+
+// Follows redirects, then insists on a 2xx image response of sane size
+const fetchImage = async (url: string): Promise<Buffer> => {
+  const res = await fetch(url, { redirect: 'follow' });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const type = res.headers.get('content-type') || '';
+  if (!type.startsWith('image/')) throw new Error(`Expected an image from ${url}, got ${type || 'no content type'}`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  if (bytes.length > MAX_BYTES) throw new Error(`${url} is larger than ${MAX_BYTES} bytes`);
+  return bytes;
+};
+
+export type AvatarResult = 'skipped' | 'unchanged' | 'written';
+
+// Avatars under public/pfp named by content hash (<hash>-<size>.webp/.jpg), so handles that differ only in case
+// can't overwrite each other and identical images (like the default egg) are stored once
+export class AvatarStore {
+  // Resizes in progress by hash, so concurrent saves of the same image share one write
+  // and no save looks at files another one is still writing
+  private readonly writing = new Map<string, Promise<void>>();
+
+  private constructor(
+    readonly dir: string,
+    readonly manifestPath: string,
+    readonly urlBase: string,
+    private readonly manifest: AvatarManifest
+  ) {}
+
+  static async open(dir = './public/pfp', urlBase = '/pfp') {
+    const manifestPath = path.join(dir, 'manifest.json');
+    let manifest: AvatarManifest = { version: 1, sizes: AVATAR_SIZES, avatars: {} };
+    if (await fs.pathExists(manifestPath)) {
+      const existing = await fs.readJSON(manifestPath);
+      if (existing?.version === 1 && existing.avatars) manifest = { ...existing, sizes: AVATAR_SIZES };
+    }
+    await fs.ensureDir(dir);
+    return new AvatarStore(dir, manifestPath, urlBase, manifest);
+  }
+
+  private fileName(hash: string, size: number, format: 'webp' | 'jpg') {
+    return `${hash}-${size}.${format}`;
+  }
+
+  private async hasFiles(hash: string) {
+    for (const size of AVATAR_SIZES) {
+      for (const format of ['webp', 'jpg'] as const) {
+        if (!(await fs.pathExists(path.join(this.dir, this.fileName(hash, size, format))))) return false;
+      }
+    }
+    return true;
+  }
+
+  private async writeFiles(hash: string, bytes: Buffer) {
+    for (const size of AVATAR_SIZES) {
+      // rotate() applies EXIF orientation; small sources aren't blown up past their own size
+      const resized = sharp(bytes).rotate().resize(size, size, { fit: 'cover', withoutEnlargement: true });
+      await resized.clone().webp({ quality: 82 }).toFile(path.join(this.dir, this.fileName(hash, size, 'webp')));
+      await resized.clone().jpeg({ quality: 85, mozjpeg: true }).toFile(path.join(this.dir, this.fileName(hash, size, 'jpg')));
+    }
+  }
+
+  private ensureFiles(hash: string, bytes: Buffer) {
+    let pending = this.writing.get(hash);
+    if (!pending) {
+      pending = (async () => {
+        if (!(await this.hasFiles(hash))) await this.writeFiles(hash, bytes);
+      })().finally(() => this.writing.delete(hash));
+      this.writing.set(hash, pending);
+    }
+    return pending;
+  }
+
+  // Fetch and resize one user's avatar. Skips the download when the source URL is unchanged (X gives a new
+  // avatar a new URL) and the resize when the image hashes to files already on disk
+  async save(handle: string, sourceUrl: string, force = false): Promise<AvatarResult> {
+    const key = handle.toLowerCase();
+    const previous = this.manifest.avatars[key];
+    if (!force && previous?.source === sourceUrl) {
+      // A failed write leaves files missing, which sends this save on to fetch the image again
+      await this.writing.get(previous.hash)?.catch(() => undefined);
+      if (await this.hasFiles(previous.hash)) return 'skipped';
+    }
+
+    const highRes = highResAvatarUrl(sourceUrl);
+    let bytes: Buffer;
+    try {
+      bytes = await fetchImage(highRes);
+    } catch (err) {
+      if (highRes === sourceUrl) throw err;
+      bytes = await fetchImage(sourceUrl);
+    }
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 16);
+    await this.ensureFiles(hash, bytes);
+
+    const files: AvatarEntry['files'] = {};
+    for (const size of AVATAR_SIZES) {
+      files[size] = {
+        webp: `${this.urlBase}/${this.fileName(hash, size, 'webp')}`,
+        jpg: `${this.urlBase}/${this.fileName(hash, size, 'jpg')}`
+      };
+    }
+    this.manifest.avatars[key] = { hash, source: sourceUrl, updated_at: new Date().toISOString(), files };
+    return previous?.hash === hash ? 'unchanged' : 'written';
+  }
+
+  async write() {
+    await fs.writeJSON(this.manifestPath, this.manifest, { spaces: 2 });
+  }
+
+  // Delete hashed files no manifest entry points to any more; legacy <handle>.jpg files are left alone
+  async prune() {
+    const used = new Set(Object.values(this.manifest.avatars).map(entry => entry.hash));
+    let removed = 0;
+    for (const file of await fs.readdir(this.dir)) {
+      if (FILE_PATTERN.test(file) && !used.has(file.slice(0, 16))) {
+        await fs.remove(path.join(this.dir, file));
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
@@ -0,0 +1,104 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import type { EnrichedUser } from './types.js';
+
+const HISTORY_VERSION = 1;
+const SNAPSHOT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+const { values: args } = parseArgs({
+  options: {
+    snapshots: { type: 'string', default: './data/snapshots' },
+    output: { type: 'string', default: './public/universe/history.json' },
+    community: { type: 'string' },
+    manifest: { type: 'string', default: './public/universe/communities.json' }
+  }
+});
+
+type Snapshot = { date: string; users: EnrichedUser[] };
+
+const fail = (message: string) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+type CommunityEntry = { id: string; users: string; history?: string };
+
+// --community <id> reads that community's snapshot folder and records the history file in the viewer's galaxy list
+const resolveCommunity = async () => {
+  const manifest = await fs.readJSON(args.manifest!);
+  const entry: CommunityEntry | undefined = manifest.communities.find((c: CommunityEntry) => c.id === args.community);
+  if (!entry) fail(`Community ${args.community} is not listed in ${args.manifest}`);
+  const history = entry!.history || path.posix.join(path.posix.dirname(entry!.users), 'history.json');
+  args.snapshots = path.join(args.snapshots!, entry!.id);
+  args.output = path.join('./public', history);
+  return async () => {
+    entry!.history = history;
+    await fs.writeJSON(args.manifest!, manifest, { spaces: 2 });
+  };
+};
+
+const loadSnapshots = async (dir: string): Promise<Snapshot[]> => {
+  const files = (await fs.readdir(dir)).filter(file => SNAPSHOT_PATTERN.test(file)).sort();
+  const snapshots: Snapshot[] = [];
+  for (const file of files) {
+    const users = await fs.readJSON(path.join(dir, file));
+    if (!Array.isArray(users)) fail(`${file} must contain an array of users`);
+    snapshots.push({ date: file.match(SNAPSHOT_PATTERN)![1], users });
+  }
+  return snapshots;
+};
+
+// Handle -> followers for everyone who was a member on that date (null when the count is unknown)
+const membersOf = (snapshot: Snapshot) => {
+  const members = new Map<string, number | null>();
+  for (const user of snapshot.users) {
+    if (!user || !user.handle || user.departed) continue;
+    members.set(user.handle, typeof user.followers === 'number' ? user.followers : null);
+  }
+  return members;
+};
+
+// Joins, departures and the biggest follower changes between two consecutive snapshots
+const printDiff = (from: Snapshot, to: Snapshot, before: Map<string, number | null>, after: Map<string, number | null>) => {
+  const joined = [...after.keys()].filter(handle => !before.has(handle));
+  const left = [...before.keys()].filter(handle => !after.has(handle));
+  const changes = [...after]
+    .filter(([handle, followers]) => typeof followers === 'number' && typeof before.get(handle) === 'number')
+    .map(([handle, followers]) => ({ handle, delta: (followers as number) - (before.get(handle) as number) }))
+    .filter(({ delta }) => delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, 5);
+  console.log(`${from.date} -> ${to.date}: +${joined.length} joined, -${left.length} left`);
+  changes.forEach(({ handle, delta }) => console.log(`   @${handle} ${delta > 0 ? '+' : ''}${delta}`));
+};
+
+(async () => {
+  const recordHistory = args.community ? await resolveCommunity() : null;
+  if (!(await fs.pathExists(args.snapshots!))) fail(`No snapshots in ${args.snapshots}; run npm run collect-users first`);
+
+  const snapshots = await loadSnapshots(args.snapshots!);
+  if (!snapshots.length) fail(`No YYYY-MM-DD.json snapshots in ${args.snapshots}`);
+
+  // series[handle][i]: followers on dates[i], or null while not a member.
+  // Unknown counts repeat the last known one (0 before any is known) so stars don't blink out
+  const dates = snapshots.map(snapshot => snapshot.date);
+  const series: Record<string, (number | null)[]> = {};
+  const lastKnown = new Map<string, number>();
+  let previous = new Map<string, number | null>();
+  snapshots.forEach((snapshot, i) => {
+    const members = membersOf(snapshot);
+    for (const [handle, followers] of members) {
+      if (!series[handle]) series[handle] = new Array(dates.length).fill(null);
+      if (followers !== null) lastKnown.set(handle, followers);
+      series[handle][i] = lastKnown.get(handle) ?? 0;
+    }
+    if (i > 0) printDiff(snapshots[i - 1], snapshot, previous, members);
+    previous = members;
+  });
+
+  await fs.ensureDir(path.dirname(args.output!));
+  await fs.writeJSON(args.output!, { version: HISTORY_VERSION, dates, series });
+  if (recordHistory) await recordHistory();
+  console.log(`✅ ${Object.keys(series).length} users across ${dates.length} snapshots -> ${args.output}`);
+})().catch(err => fail(err instanceof Error ? err.message : String(err)));
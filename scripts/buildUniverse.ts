@@ -0,0 +1,175 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import type { EnrichedUser, Edge } from './types.js';
+import { parseFollowerCount } from './followerCount.js';
+import { buildSolarSystems, hasFollowerCount, GROUPING_STRATEGIES } from '../public/universe/hierarchy.js';
+import { computeSystemPositions, LAYOUTS } from '../public/universe/layout.js';
+import { packUniverse } from '../public/universe/builtUniverse.js';
+import { datasetSeed } from '../public/universe/random.js';
+
+const UNRANKED_POLICIES = ['belt', 'cluster', 'hidden'];
+const HANDLE_PATTERN = /^\w{1,15}$/;
+const TIMESTAMP_FIELDS = ['first_seen', 'last_seen', 'updated_at'] as const;
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: 'string', default: './public/universe/universe.json' },
+    edges: { type: 'string', default: './public/universe/edges.json' },
+    output: { type: 'string', default: './public/universe/universe.built.json' },
+    history: { type: 'string', default: './public/universe/history.json' },
+    seed: { type: 'string' },
+    grouping: { type: 'string', default: 'order' },
+    unranked: { type: 'string', default: 'belt' },
+    layout: { type: 'string', default: 'sphere' },
+    community: { type: 'string' },
+    manifest: { type: 'string', default: './public/universe/communities.json' }
+  }
+});
+
+// Accept numbers and count strings as X displays them ("1,234", "69.4K"); undefined means the value is malformed
+const normalizeFollowers = (value: unknown): number | null | undefined => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : undefined;
+  }
+  if (typeof value === 'string') {
+    return parseFollowerCount(value) ?? undefined;
+  }
+  return undefined;
+};
+
+// Check one scraped record against the EnrichedUser schema, collecting every problem found
+const validateUser = (raw: unknown, index: number, errors: string[]): EnrichedUser | null => {
+  const where = `record ${index}`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${where}: expected an object`);
+    return null;
+  }
+  const record = raw as Record<string, unknown>;
+  const problems: string[] = [];
+  if (typeof record.handle !== 'string' || !HANDLE_PATTERN.test(record.handle)) {
+    problems.push(`invalid handle ${JSON.stringify(record.handle)}`);
+  }
+  for (const field of ['name', 'bio', 'pfp_url']) {
+    if (typeof record[field] !== 'string') problems.push(`${field} must be a string`);
+  }
+  const followers = normalizeFollowers(record.followers);
+  if (followers === undefined) problems.push(`invalid followers ${JSON.stringify(record.followers)}`);
+  for (const field of TIMESTAMP_FIELDS) {
+    const value = record[field];
+    if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+      problems.push(`${field} must be an ISO date`);
+    }
+  }
+
+  if (problems.length) {
+    errors.push(`${where} (@${record.handle}): ${problems.join(', ')}`);
+    return null;
+  }
+  return {
+    handle: record.handle as string,
+    name: (record.name as string).trim(),
+    bio: (record.bio as string).trim(),
+    followers: followers as number | null,
+    pfp_url: record.pfp_url as string,
+    ...Object.fromEntries(TIMESTAMP_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])),
+    ...(record.departed === true ? { departed: true } : {})
+  };
+};
+
+// Keep the first record per handle (case-insensitive), filling in a missing follower count from later ones
+const dedupeByHandle = (users: EnrichedUser[]): EnrichedUser[] => {
+  const byHandle = new Map<string, EnrichedUser>();
+  for (const user of users) {
+    const key = user.handle.toLowerCase();
+    const existing = byHandle.get(key);
+    if (!existing) byHandle.set(key, user);
+    else if (existing.followers === null) existing.followers = user.followers;
+  }
+  return Array.from(byHandle.values());
+};
+
+const fail = (message: string, details: string[] = []) => {
+  console.error(`❌ ${message}`);
+  details.forEach(line => console.error(`   ${line}`));
+  process.exit(1);
+};
+
+type CommunityEntry = { id: string; users: string; edges?: string; built?: string; history?: string };
+
+// --community <id> reads its files from the viewer's galaxy list and records the built file there
+const resolveCommunity = async () => {
+  const manifest = await fs.readJSON(args.manifest!);
+  const entry: CommunityEntry | undefined = manifest.communities.find((c: CommunityEntry) => c.id === args.community);
+  if (!entry) fail(`Community ${args.community} is not listed in ${args.manifest}`);
+  const built = entry!.built || entry!.users.replace(/\.json$/, '.built.json');
+  args.input = path.join('./public', entry!.users);
+  args.edges = entry!.edges ? path.join('./public', entry!.edges) : '';
+  args.output = path.join('./public', built);
+  args.history = entry!.history ? path.join('./public', entry!.history) : '';
+  return async () => {
+    entry!.built = built;
+    await fs.writeJSON(args.manifest!, manifest, { spaces: 2 });
+  };
+};
+
+(async () => {
+  const recordBuilt = args.community ? await resolveCommunity() : null;
+  if (!(args.grouping! in GROUPING_STRATEGIES)) {
+    fail(`Unknown grouping "${args.grouping}"`, [`Expected one of: ${Object.keys(GROUPING_STRATEGIES).join(', ')}`]);
+  }
+  if (!UNRANKED_POLICIES.includes(args.unranked!)) {
+    fail(`Unknown unranked policy "${args.unranked}"`, [`Expected one of: ${UNRANKED_POLICIES.join(', ')}`]);
+  }
+  if (!(args.layout! in LAYOUTS)) {
+    fail(`Unknown layout "${args.layout}"`, [`Expected one of: ${Object.keys(LAYOUTS).join(', ')}`]);
+  }
+
+  const raw = await fs.readJSON(args.input!);
+  if (!Array.isArray(raw)) fail(`${args.input} must contain an array of users`);
+
+  const errors: string[] = [];
+  const validated = (raw as unknown[])
+    .map((record, i) => validateUser(record, i, errors))
+    .filter((user): user is EnrichedUser => user !== null);
+  if (errors.length) fail(`${errors.length} malformed record(s) in ${args.input}`, errors);
+
+  const deduped = dedupeByHandle(validated);
+  if (deduped.length < validated.length) {
+    console.log(`Removed ${validated.length - deduped.length} duplicate handle(s)`);
+  }
+  // Members who left the community stay in the scrape history but not in the galaxy,
+  // unless there is a history file: then they keep their place so the timeline can fade them out
+  const keepDeparted = Boolean(args.history) && (await fs.pathExists(args.history!));
+  const users = keepDeparted ? deduped : deduped.filter(user => !user.departed);
+  if (users.length < deduped.length) {
+    console.log(`Left out ${deduped.length - users.length} departed member(s)`);
+  }
+
+  const edges: Edge[] = args.edges && (await fs.pathExists(args.edges)) ? await fs.readJSON(args.edges) : [];
+  const rankedUsers = users.filter(hasFollowerCount);
+  const unrankedUsers = args.unranked === 'hidden' ? [] : users.filter(user => !hasFollowerCount(user));
+  if (!rankedUsers.length) fail('No users with a follower count to build systems from');
+
+  const seed = args.seed || datasetSeed(users);
+  const solarSystems = buildSolarSystems(rankedUsers, unrankedUsers, {
+    seed,
+    unrankedPolicy: args.unranked!,
+    grouping: args.grouping!,
+    edges
+  });
+  const positions = computeSystemPositions(solarSystems, seed, { layout: args.layout!, edges });
+  const built = packUniverse({
+    solarSystems,
+    positions,
+    seed,
+    grouping: args.grouping!,
+    layout: args.layout!,
+    unrankedPolicy: args.unranked!
+  });
+
+  await fs.writeJSON(args.output!, built);
+  if (recordBuilt) await recordBuilt();
+  console.log(`✅ Built ${solarSystems.length} systems from ${users.length} users (seed ${seed}) -> ${args.output}`);
+})().catch(err => fail(err instanceof Error ? err.message : String(err)));
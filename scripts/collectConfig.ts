@@ -0,0 +1,168 @@
+import fs from 'fs-extra';
+import { parseArgs } from 'util';
+
+// Everything collectUsers.ts used to hardcode; set via a JSON config file and/or CLI flags
+export type CollectConfig = {
+  communities: string[];
+  output: string;
+  cookies: string;
+  headless: boolean;
+  maxUsers: number;
+  resetDelay: number;
+  hoverDelay: number;
+  dehoverDelay: number;
+  scrollDelay: number;
+  stagnationThreshold: number;
+  collectEdges: boolean;
+  edgesOutput: string;
+  manifest: string;
+  update: boolean;
+  staleDays: number;
+  snapshots: string;
+  hoverRetries: number;
+  profileFallback: boolean;
+  queueDir: string;
+  maxAttempts: number;
+  retryFailed: boolean;
+};
+
+const DEFAULTS: CollectConfig = {
+  communities: ['https://x.com/i/communities/1493446837214187523/members'],
+  output: './public/universe/universe2.json',
+  cookies: './data/cookies.json',
+  headless: false,
+  maxUsers: Infinity,
+  resetDelay: 300,
+  hoverDelay: 1200,
+  dehoverDelay: 500,
+  scrollDelay: 1000,
+  stagnationThreshold: 5,
+  collectEdges: false,
+  edgesOutput: './public/universe/edges2.json',
+  manifest: './public/universe/communities.json',
+  update: false,
+  staleDays: 7,
+  snapshots: './data/snapshots',
+  hoverRetries: 1,
+  profileFallback: true,
+  queueDir: './data/queue',
+  maxAttempts: 3,
+  retryFailed: false
+};
+
+const USAGE = `Usage: npm run collect-users -- [options]
+
+  --config <file>          JSON file with any of the options below (camelCase keys)
+  --community <url|id>     Community members URL or ID; repeat for several communities
+  --output <file>          Where to write collected users (${DEFAULTS.output});
+                           include {id} to write one file per community instead of merging them
+  --cookies <file>         Session cookies saved by npm run login (${DEFAULTS.cookies})
+  --headless               Run the browser without a window
+  --max-users <n>          Stop once this many users are collected
+  --reset-delay <ms>       Pause after moving the mouse away before hovering (${DEFAULTS.resetDelay})
+  --hover-delay <ms>       Pause after hovering a user for the hover card (${DEFAULTS.hoverDelay})
+  --dehover-delay <ms>     Pause after leaving a user row (${DEFAULTS.dehoverDelay})
+  --scroll-delay <ms>      Pause after each scroll (${DEFAULTS.scrollDelay})
+                           All delays stretch up to 16x while X is slow or rate limiting, and ease back after
+  --hover-retries <n>      Hover again this many times when the card shows no follower count (${DEFAULTS.hoverRetries})
+  --no-profile-fallback    Don't open the profile page when the hover card keeps failing
+  --queue-dir <dir>        Where each output's per-user job journal lives, so a crashed run resumes (${DEFAULTS.queueDir})
+  --max-attempts <n>       Give up on a member after this many failed attempts (${DEFAULTS.maxAttempts})
+  --retry-failed           Only retry the members the last run gave up on, from their profile pages
+  --stagnation <n>         Stop after this many scrolls without new members (${DEFAULTS.stagnationThreshold})
+  --edges                  Also collect follow/mention edges between members
+  --edges-output <file>    Where to write edges (${DEFAULTS.edgesOutput}); {id} as for --output
+  --manifest <file>        Galaxy list for the viewer, updated when --output contains {id} (${DEFAULTS.manifest})
+  --update                 Re-scrape the whole member list: refresh stale users and flag departed ones
+                           (without it an existing output is resumed and known users are skipped)
+  --stale-days <n>         With --update, refresh users whose data is older than this (${DEFAULTS.staleDays}; 0 = everyone)
+  --snapshots <dir>        Also write a dated copy of each run here for npm run build-history (${DEFAULTS.snapshots});
+                           one subfolder per community when --output contains {id}; '' to disable
+  --help                   Show this message
+`;
+
+// Numeric community ID from a members URL (or the bare ID itself)
+export const communityId = (url: string) => url.match(/communities\/(\d+)/)?.[1] || url;
+
+// Bare community IDs are expanded to their members page
+const toCommunityUrl = (value: string) =>
+  /^\d+$/.test(value) ? `https://x.com/i/communities/${value}/members` : value;
+
+const toNumber = (name: string, value: string | undefined): number | undefined => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a non-negative number, got "${value}"`);
+  return n;
+};
+
+export const loadCollectConfig = async (argv = process.argv.slice(2)): Promise<CollectConfig> => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      community: { type: 'string', multiple: true },
+      output: { type: 'string' },
+      cookies: { type: 'string' },
+      headless: { type: 'boolean' },
+      'max-users': { type: 'string' },
+      'reset-delay': { type: 'string' },
+      'hover-delay': { type: 'string' },
+      'dehover-delay': { type: 'string' },
+      'scroll-delay': { type: 'string' },
+      stagnation: { type: 'string' },
+      'hover-retries': { type: 'string' },
+      'no-profile-fallback': { type: 'boolean' },
+      'queue-dir': { type: 'string' },
+      'max-attempts': { type: 'string' },
+      'retry-failed': { type: 'boolean' },
+      edges: { type: 'boolean' },
+      'edges-output': { type: 'string' },
+      manifest: { type: 'string' },
+      update: { type: 'boolean' },
+      'stale-days': { type: 'string' },
+      snapshots: { type: 'string' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const fromFile: Partial<CollectConfig> = values.config ? await fs.readJSON(values.config) : {};
+  const fromFlags: Partial<CollectConfig> = {
+    communities: values.community,
+    output: values.output,
+    cookies: values.cookies,
+    headless: values.headless,
+    maxUsers: toNumber('max-users', values['max-users']),
+    resetDelay: toNumber('reset-delay', values['reset-delay']),
+    hoverDelay: toNumber('hover-delay', values['hover-delay']),
+    dehoverDelay: toNumber('dehover-delay', values['dehover-delay']),
+    scrollDelay: toNumber('scroll-delay', values['scroll-delay']),
+    stagnationThreshold: toNumber('stagnation', values.stagnation),
+    hoverRetries: toNumber('hover-retries', values['hover-retries']),
+    profileFallback: values['no-profile-fallback'] ? false : undefined,
+    queueDir: values['queue-dir'],
+    maxAttempts: toNumber('max-attempts', values['max-attempts']),
+    retryFailed: values['retry-failed'],
+    collectEdges: values.edges,
+    edgesOutput: values['edges-output'],
+    manifest: values.manifest,
+    update: values.update,
+    staleDays: toNumber('stale-days', values['stale-days']),
+    snapshots: values.snapshots
+  };
+
+  // Flags override the config file, which overrides the defaults
+  const config: CollectConfig = { ...DEFAULTS };
+  for (const layer of [fromFile, fromFlags]) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (value !== undefined) (config as Record<string, unknown>)[key] = value;
+    }
+  }
+  config.communities = config.communities.map(toCommunityUrl);
+  if (!config.communities.length) throw new Error('At least one community is required');
+  return config;
+};
@@ -1,77 +1,316 @@
-import puppeteer from 'puppeteer';
+import puppeteer, { type Browser, type ElementHandle, type Page } from 'puppeteer';
 import fs from 'fs-extra';
 import path from 'path';
-import { createWriteStream } from 'fs';
-import https from 'https';
-import { fileURLToPath } from 'url';
+import type { EnrichedUser, Edge } from './types.js';
+import { loadCollectConfig, communityId, type CollectConfig } from './collectConfig.js';
+import { parseFollowerCount } from './followerCount.js';
+import { JobQueue, Pacer, type Job } from './jobQueue.js';
+import { AvatarStore } from './avatars.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const delay = (ms: number) => new Promise(res => setTimeout(res, ms));
 
-const COOKIES_PATH = './data/cookies.json';
-const OUTPUT = './public/universe/universe2.json';
-const COMMUNITY_URL = 'https://x.com/i/communities/1493446837214187523/members';
+// Count @mentions of other members in each bio
+const collectMentionEdges = (users: EnrichedUser[], members: Map<string, string>): Edge[] => {
+  const edges: Edge[] = [];
+  for (const user of users) {
+    const counts = new Map<string, number>();
+    for (const match of user.bio.matchAll(/@(\w{1,15})/g)) {
+      const target = members.get(match[1].toLowerCase());
+      if (target && target !== user.handle) counts.set(target, (counts.get(target) || 0) + 1);
+    }
+    for (const [target, weight] of counts) {
+      edges.push({ source: user.handle, target, type: 'mentions', weight });
+    }
+  }
+  return edges;
+};
 
-const delay = (ms: number) => new Promise(res => setTimeout(res, ms));
+// Scroll through a user's following list and return every handle on it
+const collectFollowing = async (page: Page, handle: string, scrollDelay: number): Promise<string[]> => {
+  await page.goto(`https://x.com/${handle}/following`, { waitUntil: 'domcontentloaded' });
+  try {
+    await page.waitForSelector('[data-testid="UserCell"]', { timeout: 10000 });
+  } catch {
+    console.warn(`⚠️ Following list did not load for @${handle}`);
+    return [];
+  }
+  const following = new Set<string>();
+  let stagnantScrolls = 0;
+  while (stagnantScrolls < 3) {
+    const visibleHandles = await page.evaluate(() =>
+      Array.from(document.querySelectorAll('[data-testid="UserCell"] [data-testid^="UserAvatar-Container-"]')).map(el =>
+        el.getAttribute('data-testid')?.replace('UserAvatar-Container-', '') || ''
+      )
+    );
+    const before = following.size;
+    visibleHandles.filter(Boolean).forEach(h => following.add(h));
+    stagnantScrolls = following.size === before ? stagnantScrolls + 1 : 0;
+    await page.evaluate(() => {
+      window.scrollBy(0, window.innerHeight);
+    });
+    await delay(scrollDelay);
+  }
+  return Array.from(following);
+};
 
-type EnrichedUser = {
-  handle: string;
-  name: string;
-  bio: string;
-  followers: number | null;
-  pfp_url: string;
+const saveUsers = async (file: string, collected: Map<string, EnrichedUser>) => {
+  await fs.ensureDir(path.dirname(file));
+  await fs.writeJSON(file, Array.from(collected.values()), { spaces: 2 });
 };
 
-const downloadImage = (url: string, filename: string): Promise<void> => {
-  return new Promise((resolve, reject) => {
-    const filePath = path.join(__dirname, '..', 'public', 'pfp', filename);
-    const file = createWriteStream(filePath);
-    https
-      .get(url, response => {
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close(err => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-      })
-      .on('error', reject);
-  });
+// Output paths may contain {id} to keep each community in its own file
+const forCommunity = (file: string, id: string) => file.replace(/\{id\}/g, id);
+
+// URL the viewer can fetch a file under ./public from, or null if it lives elsewhere
+const publicUrl = (file: string) => {
+  const relative = path.relative(path.resolve('public'), path.resolve(file));
+  return relative.startsWith('..') || path.isAbsolute(relative) ? null : `/${relative.split(path.sep).join('/')}`;
 };
 
-(async () => {
-  const browser = await puppeteer.launch({ headless: false });
-  const page = await browser.newPage();
+// Add or update a community in the viewer's galaxy list, keeping any name edited by hand
+const updateManifest = async (manifestPath: string, id: string, usersFile: string, edgesFile: string | null) => {
+  const users = publicUrl(usersFile);
+  if (!users) {
+    console.warn(`⚠️ ${usersFile} is outside ./public, not adding community ${id} to ${manifestPath}`);
+    return;
+  }
+  const manifest = (await fs.pathExists(manifestPath)) ? await fs.readJSON(manifestPath) : { communities: [] };
+  const existing = manifest.communities.find((c: { id: string }) => c.id === id);
+  const entry = {
+    id,
+    name: existing?.name || `Community ${id}`,
+    users,
+    ...(edgesFile && publicUrl(edgesFile) ? { edges: publicUrl(edgesFile) } : {})
+  };
+  if (existing) Object.assign(existing, entry);
+  else manifest.communities.push(entry);
+  await fs.ensureDir(path.dirname(manifestPath));
+  await fs.writeJSON(manifestPath, manifest, { spaces: 2 });
+  console.log(`Updated ${manifestPath} with community ${id}`);
+};
 
-  const cookies = await fs.readJSON(COOKIES_PATH);
-  await page.setCookie(...cookies);
+type HoverCardData = { bio: string; followersText: string | null };
+
+// Bio and raw follower count text from the open hover card; parsing happens in Node with parseFollowerCount
+const readHoverCard = (page: Page): Promise<HoverCardData> =>
+  page.evaluate(() => {
+    let bio = '';
+    let followersText: string | null = null;
+
+    // BIO
+    const card = document.querySelector('[data-testid="HoverCard"]');
+    if (card) {
+      const bioDivs = Array.from(card.querySelectorAll('div[dir="auto"]'));
+      const bioDiv = bioDivs.find(div => {
+        const text = div.textContent?.toLowerCase() || '';
+        return (
+          text !== '' &&
+          !text.includes('click to follow') &&
+          !text.includes('@') && // not a handle
+          !text.includes('following') &&
+          div.querySelectorAll('span').length <= 2 // likely not a button or link block
+        );
+      });
+      if (bioDiv) {
+        // Preserve all text, including emojis (replace <img alt="..."> with their alt text)
+        bio = Array.from(bioDiv.childNodes).map(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && (node as Element).tagName === 'IMG') {
+            return ((node as HTMLImageElement).alt) || '';
+          } else {
+            return node.textContent || '';
+          }
+        }).join('').trim();
+      }
 
-  await page.goto(COMMUNITY_URL, { waitUntil: 'domcontentloaded' });
-  await page.setViewport({ width: 1400, height: 1000 });
-  console.log('🔁 Scrolling and scraping...');
+      // FOLLOWERS
+      const followersLink = Array.from(card.querySelectorAll('a')).find(a => {
+        const href = a.getAttribute('href');
+        return href && /followers$/.test(href);
+      });
+      const span = followersLink?.querySelector('span');
+      if (span && span.textContent) followersText = span.textContent;
+    }
+    return { bio, followersText };
+  });
 
-  await page.waitForSelector('[data-testid="UserCell"]', { timeout: 30000 });
+// Fallback when the hover card never shows a count: the same data from the user's profile page.
+// Loaded in a second tab, so the member list keeps its scroll position; pass the tab back in to reuse it
+const readProfile = async (
+  page: Page,
+  handle: string,
+  profilePage?: Page
+): Promise<HoverCardData & { profilePage?: Page }> => {
+  try {
+    profilePage = profilePage || (await page.browser().newPage());
+    await profilePage.goto(`https://x.com/${handle}`, { waitUntil: 'domcontentloaded' });
+    await profilePage.waitForSelector('[data-testid="UserName"]', { timeout: 10000 });
+    const card = await profilePage.evaluate(() => {
+      // Text with emoji images replaced by their alt text, as for the hover card
+      const textOf = (node: Node): string => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent || '';
+        if ((node as Element).tagName === 'IMG') return (node as HTMLImageElement).alt || '';
+        return Array.from(node.childNodes).map(textOf).join('');
+      };
+      const description = document.querySelector('[data-testid="UserDescription"]');
+      const bio = description ? textOf(description).trim() : '';
+      const followersLink = document.querySelector('a[href$="/verified_followers"], a[href$="/followers"]');
+      return { bio, followersText: followersLink?.textContent || null };
+    });
+    return { ...card, profilePage };
+  } catch {
+    console.warn(`⚠️ Profile page did not load for @${handle}`);
+    return { bio: '', followersText: null, profilePage };
+  }
+};
 
-  const collected = new Map<string, EnrichedUser>();
-  const processedHandles = new Set<string>();
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  // Load previously collected users if OUTPUT exists
-  if (await fs.pathExists(OUTPUT)) {
-    const previousUsers: EnrichedUser[] = await fs.readJSON(OUTPUT);
-    for (const user of previousUsers) {
-      collected.set(user.handle, user);
-      processedHandles.add(user.handle);
+// In --update mode known users are only re-hovered once their data is older than --stale-days
+const isStale = (user: EnrichedUser, staleDays: number) =>
+  !user.updated_at || Date.now() - Date.parse(user.updated_at) >= staleDays * DAY_MS;
+
+// X answers a throttled session with "Something went wrong. Try reloading." and a Retry button in place of
+// the content; matching the button rather than the text keeps bios that mention rate limits from tripping it
+const findRetryButton = async (page: Page) => {
+  for (const button of await page.$$('[role="button"]')) {
+    const text = await button.evaluate(node => node.textContent?.trim() || '');
+    if (/^(retry|try again)$/i.test(text)) return button;
+  }
+  return null;
+};
+
+// Back off once X shows rate-limit UI: stretch every delay, wait it out, then press Retry
+const waitOutRateLimit = async (page: Page, pacer: Pacer) => {
+  const retry = await findRetryButton(page);
+  if (!retry) return false;
+  pacer.slowDown('X is rate limiting');
+  console.warn(`⏳ Cooling down for ${Math.round(pacer.factor)} minute(s)...`);
+  await pacer.coolDown();
+  await retry.click().catch(() => undefined);
+  return true;
+};
+
+// Hover one member's row for their bio and follower count, falling back to the profile page.
+// Throws when the row can't be read at all; a user without a follower count is returned for the caller to judge
+const scrapeMember = async (
+  page: Page,
+  el: ElementHandle<Element>,
+  avatarContainer: ElementHandle<Element>,
+  handle: string,
+  cell: Required<Job>['cell'],
+  known: EnrichedUser | undefined,
+  pacer: Pacer,
+  config: CollectConfig
+): Promise<EnrichedUser> => {
+  // Hover for the card, retrying before falling back to the profile page
+  let card: HoverCardData = { bio: '', followersText: null };
+  for (let attempt = 0; attempt <= config.hoverRetries && parseFollowerCount(card.followersText) === null; attempt++) {
+    // Force real de-hover before each hover
+    await page.mouse.move(0, 0); // move to top-left to "exit" last hover
+    await pacer.wait(config.resetDelay);
+
+    // Hover the avatar container to spawn the card
+    await avatarContainer.hover();
+    await pacer.wait(config.hoverDelay);
+
+    // Wait for the hover card to appear; a card that takes long to show means X is slowing us down
+    const waitStart = Date.now();
+    try {
+      await page.waitForSelector('[data-testid="HoverCard"]', { timeout: 3000 });
+      if (Date.now() - waitStart > 1500) pacer.slowDown('Hover cards are slow to appear');
+    } catch {
+      console.warn(`⚠️ Hover card did not appear for @${handle} (attempt ${attempt + 1}).`);
+      if (!(await waitOutRateLimit(page, pacer))) pacer.slowDown('Hover card timed out');
     }
-    console.log(`🔁 Resuming. Loaded ${processedHandles.size} previously collected users.`);
+    card = await readHoverCard(page);
+  }
+  let bio = card.bio;
+  let followers = parseFollowerCount(card.followersText);
+  if (followers === null && config.profileFallback) {
+    const profile = await readProfile(page, handle);
+    await profile.profilePage?.close();
+    followers = parseFollowerCount(profile.followersText);
+    bio = bio || profile.bio;
+    console.log(`Read @${handle} from their profile page: ${followers ?? 'no'} followers`);
   }
 
-  let stagnantScrolls = 0;
-  let lastHandle = '';
+  // De-hover: move mouse far right of the user row (optional, but keep for safety)
+  const boundingBox = await el.boundingBox();
+  if (boundingBox) {
+    await page.mouse.move(boundingBox.x + boundingBox.width + 50, boundingBox.y);
+    await pacer.wait(config.dehoverDelay);
+  }
 
-  while (stagnantScrolls < 5) {
+  await savePfp(handle, cell.pfp_url);
+  return toUser(handle, cell, bio, followers, known);
+};
+
+// Resized copies of every avatar under public/pfp, listed in its manifest.json
+let avatars: AvatarStore | null = null;
+
+// Download the profile image if available
+const savePfp = async (handle: string, pfp: string) => {
+  if (!pfp || !avatars) return;
+  try {
+    await avatars.save(handle, pfp);
+  } catch (err) {
+    console.warn(`Failed to download pfp for @${handle}:`, err instanceof Error ? err.message : err);
+  }
+};
+
+const toUser = (
+  handle: string,
+  cell: Required<Job>['cell'],
+  bio: string,
+  followers: number | null,
+  known: EnrichedUser | undefined
+): EnrichedUser => {
+  const seenAt = new Date().toISOString();
+  return {
+    handle,
+    name: cell.name,
+    bio,
+    // A failed hover card shouldn't wipe out a follower count we already have
+    followers: followers ?? known?.followers ?? null,
+    pfp_url: cell.pfp_url, // original URL
+    first_seen: known?.first_seen || seenAt,
+    last_seen: seenAt,
+    updated_at: seenAt,
+    departed: false
+  };
+};
+
+// Record a scraped member: done with a follower count, failed (but kept, as unranked) without one
+const settle = async (queue: JobQueue, collected: Map<string, EnrichedUser>, user: EnrichedUser, counted: boolean) => {
+  collected.set(user.handle, user);
+  if (counted) await queue.done(user.handle, user);
+  else await queue.fail(user.handle, 'No follower count', user);
+};
+
+// Scroll a community's member list, hovering each new (or stale) member for their bio and follower count.
+// Every member becomes a job in the queue's journal as soon as it's seen.
+// Resolves true once the end of the list is reached, false when stopped early by --max-users
+const scrapeCommunity = async (
+  page: Page,
+  communityUrl: string,
+  collected: Map<string, EnrichedUser>,
+  processedHandles: Set<string>,
+  output: string,
+  queue: JobQueue,
+  pacer: Pacer,
+  config: CollectConfig
+) => {
+  // An update re-walks every known member, so the cap applies to members visited in this run
+  const reachedMaxUsers = () => (config.update ? processedHandles.size : collected.size) >= config.maxUsers;
+  await page.goto(communityUrl, { waitUntil: 'domcontentloaded' });
+  console.log(`🔁 Scrolling and scraping ${communityUrl}...`);
+
+  await page.waitForSelector('[data-testid="UserCell"]', { timeout: 30000 });
+
+  let stagnantScrolls = 0;
+  while (stagnantScrolls < config.stagnationThreshold && !reachedMaxUsers()) {
+    await waitOutRateLimit(page, pacer);
     const cellCount = await page.$$eval('[data-testid="UserCell"]', els => els.length);
-    let foundUnprocessed = false;
 
     for (let i = 0; i < cellCount; i++) {
       const userCells = await page.$$('[data-testid="UserCell"]');
@@ -87,129 +326,43 @@ const downloadImage = (url: string, filename: string): Promise<void> => {
           handle = dataTestId.replace('UserAvatar-Container-', '');
         }
       }
-      if (!handle || processedHandles.has(handle)) continue;
-
-      foundUnprocessed = true;
-
-      // Force real de-hover before each hover
-      await page.mouse.move(0, 0); // move to top-left to "exit" last hover
-      await delay(300);
-
-      // Hover the avatar container to spawn the card
-      if (avatarContainer) {
-        await avatarContainer.hover();
-        await delay(1200);
+      if (!handle || !avatarContainer || processedHandles.has(handle)) continue;
+
+      // Name and profile image from the cell, kept with the job so it can be finished from the profile page
+      const cell = await el.evaluate(node => ({
+        name: node.querySelector('span')?.textContent || '',
+        pfp_url: node.querySelector('img')?.getAttribute('src') || ''
+      }));
+      await queue.enqueue(handle, cell);
+
+      const known = collected.get(handle);
+      if (known && !isStale(known, config.staleDays)) {
+        // Still a member and recently refreshed: just record that we saw them
+        known.last_seen = new Date().toISOString();
+        known.departed = false;
+        await queue.done(handle, known);
       } else {
-        continue;
-      }
-
-      // Wait for the hover card to appear
-      try {
-        await page.waitForSelector('[data-testid="HoverCard"]', { timeout: 3000 });
-      } catch {
-        console.warn(`⚠️ Hover card did not appear for @${handle}, using fallback bio/followers.`);
-      }
-
-      // Extract bio and followers from the hover card
-      const hoverCardData = await page.evaluate(() => {
-        let bio = '';
-        let followers = null;
-
-        // BIO
-        const card = document.querySelector('[data-testid="HoverCard"]');
-        if (card) {
-          const bioDivs = Array.from(card.querySelectorAll('div[dir="auto"]'));
-          const bioDiv = bioDivs.find(div => {
-            const text = div.textContent?.toLowerCase() || '';
-            return (
-              text !== '' &&
-              !text.includes('click to follow') &&
-              !text.includes('@') && // not a handle
-              !text.includes('following') &&
-              div.querySelectorAll('span').length <= 2 // likely not a button or link block
-            );
-          });
-          if (bioDiv) {
-            // Preserve all text, including emojis (replace <img alt="..."> with their alt text)
-            bio = Array.from(bioDiv.childNodes).map(node => {
-              if (node.nodeType === Node.ELEMENT_NODE && (node as Element).tagName === 'IMG') {
-                return ((node as HTMLImageElement).alt) || '';
-              } else {
-                return node.textContent || '';
-              }
-            }).join('').trim();
-          }
-
-          // FOLLOWERS
-          const followersLink = Array.from(card.querySelectorAll('a')).find(a => {
-            const href = a.getAttribute('href');
-            return href && /followers$/.test(href);
-          });
-          if (followersLink) {
-            const span = followersLink.querySelector('span');
-            if (span && span.textContent) {
-              const text = span.textContent;
-              if (/k/i.test(text)) followers = Math.floor(parseFloat(text) * 1000);
-              else if (/m/i.test(text)) followers = Math.floor(parseFloat(text) * 1000000);
-              else followers = parseInt(text.replace(/[^0-9]/g, ''));
-            }
-          }
-        }
-        return { bio, followers };
-      });
-      const bio = hoverCardData.bio;
-      const followers = hoverCardData.followers;
-      lastHandle = handle;
-
-      // De-hover: move mouse far right of the user row (optional, but keep for safety)
-      const boundingBox = await el.boundingBox();
-      if (boundingBox) {
-        await page.mouse.move(boundingBox.x + boundingBox.width + 50, boundingBox.y);
-        await delay(500);
-      }
-
-      // Extract profile image
-      let pfp = '';
-      const imgEl = await el.$('img');
-      if (imgEl) {
-        pfp = await imgEl.evaluate(i => i.getAttribute('src') || '');
-      }
-
-      // Download the profile image if available
-      if (pfp) {
         try {
-          await downloadImage(pfp, `${handle}.jpg`);
+          const user = await scrapeMember(page, el, avatarContainer, handle, cell, known, pacer, config);
+          await settle(queue, collected, user, user.followers !== null);
+          if (user.followers !== null) pacer.recover();
+          console.log(`${known ? 'Refreshed' : 'Collected'} user: @${handle}`);
         } catch (err) {
-          console.warn(`Failed to download pfp for @${handle}:`, err);
+          // Detached rows, navigation errors and the like: leave it for the retry pass
+          const message = err instanceof Error ? err.message : String(err);
+          await queue.fail(handle, message);
+          console.warn(`⚠️ Failed @${handle}: ${message}`);
         }
       }
-
-      // Extract name from the cell
-      let name = '';
-      const nameSpan = await el.$('span');
-      if (nameSpan) {
-        name = await nameSpan.evaluate(node => node.textContent || '');
-      }
-
-      const user: EnrichedUser = {
-        handle,
-        name,
-        bio,
-        followers: isNaN(followers as any) ? null : followers,
-        pfp_url: pfp // original URL
-      };
-
-      collected.set(handle, user);
       processedHandles.add(handle);
-      console.log(`Collected user: @${handle}`);
 
-      // Save metadata every 25 users
-      if (collected.size % 25 === 0) {
-        await fs.ensureDir('./data');
-        await fs.writeJSON(OUTPUT, Array.from(collected.values()), { spaces: 2 });
-        console.log('Wrote user data:', Array.from(collected.values()).length);
+      // The journal has every user already; the output file is only refreshed every 25
+      if (processedHandles.size % 25 === 0) {
+        await saveUsers(output, collected);
+        await avatars?.write();
+        console.log('Wrote user data:', collected.size);
       }
-      continue; // Move to next user in the current viewport
+      if (reachedMaxUsers()) break;
     }
 
     // After processing all visible users, check for new handles
@@ -229,14 +382,164 @@ const downloadImage = (url: string, filename: string): Promise<void> => {
     await page.evaluate(() => {
       window.scrollBy(0, window.innerHeight);
     });
-    await delay(1000);
+    await pacer.wait(config.scrollDelay);
+  }
+  return !reachedMaxUsers();
+};
+
+// Members that failed in the list (or were cut off by a crash) are retried from their profile pages,
+// which don't need the member list scrolled back to them
+const retryFailedJobs = async (page: Page, collected: Map<string, EnrichedUser>, queue: JobQueue, pacer: Pacer, config: CollectConfig) => {
+  const jobs = queue.retryable(config.maxAttempts);
+  if (!jobs.length) return;
+  console.log(`🔁 Retrying ${jobs.length} member(s) from their profile pages...`);
+  // One tab for the whole pass, opened by the first readProfile
+  let profilePage: Page | undefined;
+  for (const job of jobs) {
+    while (job.attempts < config.maxAttempts) {
+      const profile = await readProfile(page, job.handle, profilePage);
+      profilePage = profile.profilePage;
+      const known = collected.get(job.handle);
+      const cell = job.cell || { name: known?.name || '', pfp_url: known?.pfp_url || '' };
+      const user = toUser(job.handle, cell, profile.bio || known?.bio || '', parseFollowerCount(profile.followersText), known);
+      await settle(queue, collected, user, user.followers !== null);
+      if (user.followers !== null) {
+        pacer.recover();
+        await savePfp(job.handle, cell.pfp_url);
+        console.log(`Collected user: @${job.handle}`);
+        break;
+      }
+      if (!(profilePage && (await waitOutRateLimit(profilePage, pacer)))) pacer.slowDown(`No follower count for @${job.handle}`);
+      job.attempts = queue.get(job.handle)!.attempts;
+      await pacer.wait(config.scrollDelay);
+    }
+  }
+  await profilePage?.close();
+};
+
+// Members still failing after every attempt, and how to retry just them
+const printFailures = (queue: JobQueue) => {
+  const failures = queue.failures();
+  if (!failures.length) return;
+  console.warn(`⚠️ ${failures.length} member(s) failed:`);
+  failures.forEach(job => console.warn(`   @${job.handle}: ${job.error || job.status} (${job.attempts} attempt(s))`));
+  console.warn('Retry only these with the same options plus --retry-failed');
+};
+
+// Closed by the top-level catch too, so a crashed run doesn't leave Chrome (and this process) running
+let browser: Browser | null = null;
+
+(async () => {
+  const config = await loadCollectConfig();
+  avatars = await AvatarStore.open();
+  browser = await puppeteer.launch({ headless: config.headless });
+  const page = await browser.newPage();
+
+  const cookies = await fs.readJSON(config.cookies);
+  await page.setCookie(...cookies);
+  await page.setViewport({ width: 1400, height: 1000 });
+
+  // One galaxy per community when the output path has {id}, otherwise every community merged into one file
+  const perCommunity = config.output.includes('{id}');
+  const targets = perCommunity
+    ? config.communities.map(url => ({
+        id: communityId(url),
+        urls: [url],
+        output: forCommunity(config.output, communityId(url)),
+        edgesOutput: forCommunity(config.edgesOutput, communityId(url))
+      }))
+    : [{ id: null, urls: config.communities, output: config.output, edgesOutput: config.edgesOutput }];
+
+  for (const target of targets) {
+    const collected = new Map<string, EnrichedUser>();
+    const processedHandles = new Set<string>();
+    const queue = await JobQueue.open(path.join(config.queueDir, `${path.basename(target.output, '.json')}.jsonl`), {
+      update: config.update,
+      retryFailed: config.retryFailed
+    });
+    const pacer = new Pacer();
+    // A resumed run keeps the mode it was started with
+    const targetConfig = { ...config, update: queue.update };
+
+    // Load previously collected users if the output exists; an update visits them again instead of skipping them
+    if (await fs.pathExists(target.output)) {
+      const previousUsers: EnrichedUser[] = await fs.readJSON(target.output);
+      for (const user of previousUsers) {
+        collected.set(user.handle, user);
+        if (!targetConfig.update) processedHandles.add(user.handle);
+      }
+      console.log(`🔁 ${targetConfig.update ? 'Updating' : 'Resuming'}. Loaded ${collected.size} previously collected users from ${target.output}.`);
+    }
+
+    // Everything the journal recorded since the last time the output was written
+    if (queue.resumed) {
+      for (const job of queue.jobs.values()) {
+        if (job.user) collected.set(job.handle, job.user);
+        if (job.status !== 'pending') processedHandles.add(job.handle);
+      }
+      console.log(`🔁 Picking up ${config.retryFailed ? 'the failures of' : 'the interrupted'} run from ${queue.startedAt}: ${processedHandles.size} member(s) already handled`);
+    }
+
+    let complete = false;
+    if (!config.retryFailed) {
+      for (const communityUrl of target.urls) {
+        complete = await scrapeCommunity(page, communityUrl, collected, processedHandles, target.output, queue, pacer, targetConfig);
+        if (!complete) break;
+      }
+    }
+    await retryFailedJobs(page, collected, queue, pacer, targetConfig);
+
+    // Only a full pass over the member list can tell who left
+    if (targetConfig.update && complete) {
+      const departed = Array.from(collected.values()).filter(user => !processedHandles.has(user.handle));
+      departed.forEach(user => {
+        user.departed = true;
+      });
+      console.log(`👋 ${departed.length} member(s) no longer in the member list`);
+    } else if (targetConfig.update) {
+      console.log('Stopped before the end of the member list, not checking for departures');
+    }
+
+    if (config.collectEdges) {
+      console.log('🔗 Collecting connections between members...');
+      const users = Array.from(collected.values()).filter(user => !user.departed);
+      const members = new Map(users.map(u => [u.handle.toLowerCase(), u.handle]));
+      const edges = collectMentionEdges(users, members);
+      for (const user of users) {
+        const following = await collectFollowing(page, user.handle, config.scrollDelay);
+        for (const handle of following) {
+          const member = members.get(handle.toLowerCase());
+          if (member && member !== user.handle) edges.push({ source: user.handle, target: member, type: 'follows' });
+        }
+        console.log(`Collected connections for @${user.handle}`);
+      }
+      await fs.ensureDir(path.dirname(target.edgesOutput));
+      await fs.writeJSON(target.edgesOutput, edges, { spaces: 2 });
+      console.log('Wrote edges:', edges.length);
+    }
+
+    await saveUsers(target.output, collected);
+    await avatars.write();
+    console.log(`Final user data written to ${target.output}:`, collected.size);
+    if (config.snapshots) {
+      // One snapshot per day; a second run on the same day replaces it
+      const snapshotDir = target.id ? path.join(config.snapshots, target.id) : config.snapshots;
+      const snapshotFile = path.join(snapshotDir, `${new Date().toISOString().slice(0, 10)}.json`);
+      await saveUsers(snapshotFile, collected);
+      console.log(`📸 Snapshot written to ${snapshotFile}`);
+    }
+    if (target.id) {
+      await updateManifest(config.manifest, target.id, target.output, config.collectEdges ? target.edgesOutput : null);
+    }
+    await queue.finish();
+    printFailures(queue);
   }
 
   await browser.close();
-  // Final save
-  await fs.ensureDir('./data');
-  await fs.writeJSON(OUTPUT, Array.from(collected.values()), { spaces: 2 });
-  console.log('Final user data written:', Array.from(collected.values()).length);
-  console.log(`Total users collected: ${collected.size}`);
-  console.log(`✅ Done. Collected ${collected.size} users.`);
-})();
+  console.log(`✅ Done. Wrote ${targets.map(target => target.output).join(', ')}`);
+})().catch(async err => {
+  console.error('❌ Collection stopped:', err instanceof Error ? err.message : err);
+  console.error('Run again with the same options to resume from the journal');
+  process.exitCode = 1;
+  await browser?.close().catch(() => undefined);
+});
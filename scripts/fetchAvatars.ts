@@ -0,0 +1,62 @@
+import fs from 'fs-extra';
+import { parseArgs } from 'util';
+import { AvatarStore, type AvatarResult } from './avatars.js';
+import type { EnrichedUser } from './types.js';
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: 'string', multiple: true, default: ['./public/universe/universe.json'] },
+    dir: { type: 'string', default: './public/pfp' },
+    concurrency: { type: 'string', default: '4' },
+    force: { type: 'boolean', default: false },
+    prune: { type: 'boolean', default: false }
+  }
+});
+
+const fail = (message: string) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+// Fetch (or refresh) the resized avatars of every user in one or more users files
+(async () => {
+  const concurrency = Number(args.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) fail(`--concurrency must be a positive integer, got "${args.concurrency}"`);
+
+  // The same user may be in several communities; fetch them once
+  const users = new Map<string, EnrichedUser>();
+  for (const file of args.input!) {
+    if (!(await fs.pathExists(file))) fail(`${file} not found`);
+    const list: EnrichedUser[] = await fs.readJSON(file);
+    if (!Array.isArray(list)) fail(`${file} must contain an array of users`);
+    for (const user of list) {
+      if (user?.handle && user.pfp_url) users.set(user.handle.toLowerCase(), user);
+    }
+  }
+
+  const store = await AvatarStore.open(args.dir);
+  const counts: Record<AvatarResult | 'failed', number> = { skipped: 0, unchanged: 0, written: 0, failed: 0 };
+  const queue = Array.from(users.values());
+  let done = 0;
+  const worker = async () => {
+    for (let user = queue.shift(); user; user = queue.shift()) {
+      try {
+        counts[await store.save(user.handle, user.pfp_url, args.force)]++;
+      } catch (err) {
+        counts.failed++;
+        console.warn(`⚠️ @${user.handle}: ${err instanceof Error ? err.message : err}`);
+      }
+      if (++done % 100 === 0) {
+        await store.write();
+        console.log(`${done}/${users.size} avatars`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  await store.write();
+
+  if (args.prune) console.log(`🧹 Removed ${await store.prune()} unused avatar files`);
+  console.log(
+    `✅ ${users.size} avatars: ${counts.written} written, ${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.failed} failed -> ${store.manifestPath}`
+  );
+})().catch(err => fail(err instanceof Error ? err.message : String(err)));
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFollowerCount } from './followerCount.js';
+
+test('reads plain and grouped counts', () => {
+  assert.equal(parseFollowerCount('842'), 842);
+  assert.equal(parseFollowerCount('1,234'), 1234);
+  assert.equal(parseFollowerCount('1.234'), 1234);
+  assert.equal(parseFollowerCount('12 345'), 12345);
+  assert.equal(parseFollowerCount('12 345'), 12345);
+  assert.equal(parseFollowerCount("12'345"), 12345);
+  assert.equal(parseFollowerCount('1,234,567 Followers'), 1234567);
+});
+
+test('reads English abbreviations', () => {
+  assert.equal(parseFollowerCount('69.4K'), 69400);
+  assert.equal(parseFollowerCount('1.2M'), 1200000);
+  assert.equal(parseFollowerCount('3B'), 3000000000);
+});
+
+test('reads decimal commas and localized suffixes', () => {
+  assert.equal(parseFollowerCount('1,2 K'), 1200);
+  assert.equal(parseFollowerCount('3,4 mil'), 3400);
+  assert.equal(parseFollowerCount('2.1 млн'), 2100000);
+  assert.equal(parseFollowerCount('12,5 тыс.'), 12500);
+  assert.equal(parseFollowerCount('1,5 Mio.'), 1500000);
+  assert.equal(parseFollowerCount('2,3 mln'), 2300000);
+});
+
+test('reads CJK units that run into the next word', () => {
+  assert.equal(parseFollowerCount('1.5万'), 15000);
+  assert.equal(parseFollowerCount('1.5万人のフォロワー'), 15000);
+  assert.equal(parseFollowerCount('2億'), 200000000);
+  assert.equal(parseFollowerCount('3.2만'), 32000);
+});
+
+test('reads Arabic-Indic, Persian and full-width digits', () => {
+  assert.equal(parseFollowerCount('١٢٣٤'), 1234);
+  assert.equal(parseFollowerCount('۱۲۳'), 123);
+  assert.equal(parseFollowerCount('１２３'), 123);
+  assert.equal(parseFollowerCount('٥ ألف'), 5000);
+  assert.equal(parseFollowerCount('١٢٫٥ ألف'), 12500);
+  assert.equal(parseFollowerCount('١٬٢٣٤'), 1234);
+});
+
+test('returns null when there is no count', () => {
+  assert.equal(parseFollowerCount(''), null);
+  assert.equal(parseFollowerCount(null), null);
+  assert.equal(parseFollowerCount(undefined), null);
+  assert.equal(parseFollowerCount('Followers'), null);
+});
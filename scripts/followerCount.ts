@@ -0,0 +1,61 @@
+// Turn follower counts as X displays them ("69.4K", "1,2 K", "3,4 mil", "1.5万", "12 345") into numbers
+
+// Abbreviations X uses across UI languages, keyed by lowercase suffix without a trailing dot
+const MULTIPLIERS: Record<string, number> = {
+  // thousand
+  k: 1e3, thousand: 1e3, tsd: 1e3, tys: 1e3, mil: 1e3, rb: 1e3, 'тыс': 1e3, 'ألف': 1e3, 'हज़ार': 1e3, '천': 1e3,
+  // ten thousand (CJK)
+  '万': 1e4, '萬': 1e4, '만': 1e4,
+  // million
+  m: 1e6, mn: 1e6, mio: 1e6, mln: 1e6, mi: 1e6, mill: 1e6, million: 1e6, millions: 1e6, millones: 1e6,
+  'milhões': 1e6, jt: 1e6, 'млн': 1e6, 'مليون': 1e6,
+  // hundred million (CJK)
+  '億': 1e8, '亿': 1e8, '억': 1e8,
+  // billion
+  b: 1e9, bn: 1e9, billion: 1e9, md: 1e9, mrd: 1e9, mld: 1e9, bi: 1e9, 'млрд': 1e9
+};
+
+// Arabic-Indic (U+0660-0669) and Persian (U+06F0-06F9) digits to ASCII, with the Arabic decimal (U+066B)
+// and thousands (U+066C) separators as "." and ","
+const ARABIC_SEPARATORS: Record<string, string> = { '٫': '.', '٬': ',' };
+const toAsciiDigits = (text: string) =>
+  text.replace(/[٠-٩۰-۹٫٬]/g, d => ARABIC_SEPARATORS[d] ?? String(d.charCodeAt(0) & 0xf));
+
+// CJK counts run straight into the next word ("1.5万人"), so only their first character is the suffix
+const multiplierFor = (suffix: string): number | undefined => {
+  if (MULTIPLIERS[suffix] !== undefined) return MULTIPLIERS[suffix];
+  const first = Array.from(suffix)[0];
+  return first && /[぀-鿿가-힯]/.test(first) ? MULTIPLIERS[first] : undefined;
+};
+
+// "1,234" and "1.234" are grouped thousands; "1,2", "12.3" and anything followed by a suffix are decimals
+const parseNumber = (digits: string, hasSuffix: boolean): number => {
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  let normalized = digits;
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const grouping = decimal === '.' ? ',' : '.';
+    normalized = digits.split(grouping).join('').replace(decimal, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const parts = digits.split(lastDot !== -1 ? '.' : ',');
+    const isGrouping = parts.length > 2 || (!hasSuffix && parts[1].length === 3);
+    normalized = isGrouping ? parts.join('') : parts.join('.');
+  }
+  return parseFloat(normalized);
+};
+
+// Returns null when the text has no count in it
+export const parseFollowerCount = (text: string | null | undefined): number | null => {
+  if (!text) return null;
+  // NFKC folds full-width digits; \s covers the no-break, thin and narrow spaces X puts in numbers
+  const normalized = toAsciiDigits(text.normalize('NFKC')).replace(/\s+/g, ' ').trim();
+  // Digits with grouping separators (spaces and apostrophes included, as in "12 345" or "12'345"), then an optional suffix
+  const match = normalized.match(/(\d[\d.,'’ ]*\d|\d)\s*([^\d\s.,]+)?/);
+  if (!match) return null;
+  const multiplier = multiplierFor((match[2] || '').toLowerCase());
+  const value = parseNumber(match[1].replace(/[ '’]/g, ''), multiplier !== undefined);
+  if (!Number.isFinite(value)) return null;
+  return Math.round(value * (multiplier ?? 1));
+};
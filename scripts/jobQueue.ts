@@ -0,0 +1,158 @@
+import fs from 'fs-extra';
+import path from 'path';
+import type { EnrichedUser } from './types.js';
+
+export type JobStatus = 'pending' | 'done' | 'failed';
+
+// One member to scrape. cell holds what the member list row already showed, so a job
+// can be finished from the profile page alone; user is the latest result, kept even on failure
+export type Job = {
+  handle: string;
+  status: JobStatus;
+  attempts: number;
+  error?: string;
+  cell?: { name: string; pfp_url: string };
+  user?: EnrichedUser;
+};
+
+type JournalLine =
+  | { run: { startedAt: string; update: boolean } }
+  | { finished: string }
+  | { job: Job };
+
+const delay = (ms: number) => new Promise(res => setTimeout(res, ms));
+
+// Per-user scrape state in an append-only JSONL journal: every change is one line, so a crash
+// loses at most the job in progress and the next run resumes exactly where this one stopped
+export class JobQueue {
+  readonly jobs = new Map<string, Job>();
+  startedAt = '';
+  update = false;
+  finished = false;
+
+  private constructor(readonly file: string) {}
+
+  // Open the journal for output, resuming an unfinished run or starting a new one
+  static async open(file: string, { update, retryFailed }: { update: boolean; retryFailed: boolean }) {
+    const queue = new JobQueue(file);
+    if (await fs.pathExists(file)) await queue.replay();
+    if (retryFailed) {
+      // Only the failures of the last run, with a fresh retry budget
+      for (const job of queue.jobs.values()) {
+        if (job.status === 'failed') Object.assign(job, { status: 'pending', attempts: 0, error: undefined });
+      }
+      queue.finished = false;
+    } else if (!queue.startedAt || queue.finished) {
+      queue.jobs.clear();
+      queue.startedAt = new Date().toISOString();
+      queue.update = update;
+      queue.finished = false;
+    }
+    await queue.compact();
+    return queue;
+  }
+
+  get resumed() {
+    return this.jobs.size > 0;
+  }
+
+  private async replay() {
+    const text = await fs.readFile(this.file, 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry: JournalLine;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Half-written last line from a crash
+      }
+      if ('run' in entry) {
+        this.jobs.clear();
+        this.startedAt = entry.run.startedAt;
+        this.update = entry.run.update;
+        this.finished = false;
+      } else if ('finished' in entry) {
+        this.finished = true;
+      } else if ('job' in entry) {
+        this.jobs.set(entry.job.handle, entry.job);
+      }
+    }
+  }
+
+  // Rewrite the journal with one line per job so it doesn't grow across runs
+  private async compact() {
+    const lines: JournalLine[] = [{ run: { startedAt: this.startedAt, update: this.update } }];
+    for (const job of this.jobs.values()) lines.push({ job });
+    if (this.finished) lines.push({ finished: new Date().toISOString() });
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.writeFile(`${this.file}.tmp`, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+    await fs.rename(`${this.file}.tmp`, this.file);
+  }
+
+  private async record(job: Job) {
+    this.jobs.set(job.handle, job);
+    await fs.appendFile(this.file, JSON.stringify({ job }) + '\n');
+  }
+
+  get(handle: string) {
+    return this.jobs.get(handle);
+  }
+
+  async enqueue(handle: string, cell: Job['cell']) {
+    const job = this.jobs.get(handle);
+    if (job) return job;
+    const created: Job = { handle, status: 'pending', attempts: 0, cell };
+    await this.record(created);
+    return created;
+  }
+
+  async done(handle: string, user: EnrichedUser) {
+    const job = this.jobs.get(handle);
+    await this.record({ ...job, handle, status: 'done', attempts: (job?.attempts || 0) + 1, error: undefined, user });
+  }
+
+  async fail(handle: string, error: string, user?: EnrichedUser) {
+    const job = this.jobs.get(handle);
+    await this.record({ ...job, handle, status: 'failed', attempts: (job?.attempts || 0) + 1, error, user: user || job?.user });
+  }
+
+  // Jobs that still need work and haven't used up their attempts
+  retryable(maxAttempts: number) {
+    return Array.from(this.jobs.values()).filter(job => job.status !== 'done' && job.attempts < maxAttempts);
+  }
+
+  failures() {
+    return Array.from(this.jobs.values()).filter(job => job.status !== 'done');
+  }
+
+  async finish() {
+    this.finished = true;
+    await fs.appendFile(this.file, JSON.stringify({ finished: new Date().toISOString() }) + '\n');
+  }
+}
+
+// Scales every configured delay: doubles when X slows down or shows rate-limit UI, eases back on success
+export class Pacer {
+  factor = 1;
+
+  constructor(private readonly maxFactor = 16) {}
+
+  wait(baseMs: number) {
+    return delay(baseMs * this.factor);
+  }
+
+  slowDown(reason: string) {
+    const next = Math.min(this.maxFactor, this.factor * 2);
+    if (next !== this.factor) console.warn(`🐢 ${reason}, slowing down to ${next}x delays`);
+    this.factor = next;
+  }
+
+  recover() {
+    this.factor = Math.max(1, this.factor * 0.9);
+  }
+
+  // Long pause once rate limited: a minute at 1x, growing with the factor
+  coolDown() {
+    return delay(60000 * this.factor);
+  }
+}
@@ -0,0 +1,39 @@
+// Shapes shared by the scraper and the build step
+
+export type EnrichedUser = {
+  handle: string;
+  name: string;
+  bio: string;
+  followers: number | null;
+  pfp_url: string;
+  // ISO timestamps: first and latest scrape that found the user in the member list, and last refresh of the fields above
+  first_seen?: string;
+  last_seen?: string;
+  updated_at?: string;
+  // Missing from the member list on the latest complete update
+  departed?: boolean;
+};
+
+// Relationship between two community members, stored separately from the users file
+export type Edge = {
+  source: string;
+  target: string;
+  type: 'follows' | 'mentions';
+  weight?: number;
+};
+
+// public/pfp/manifest.json: each user's avatar, resized into content-addressed files shared by identical images
+export type AvatarEntry = {
+  hash: string;
+  source: string;
+  updated_at: string;
+  // Size in px -> URLs of that size in each format
+  files: Record<string, { webp: string; jpg: string }>;
+};
+
+export type AvatarManifest = {
+  version: 1;
+  sizes: number[];
+  // Keyed by lowercase handle, since X handles are case-insensitive
+  avatars: Record<string, AvatarEntry>;
+};